@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+const LOW_RATING = 2;
+const NOT_AVAILABLE = /Information Not Available/;
+
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// Questions are grouped case- and whitespace-insensitively
+const normalizedQuestion = { $toLower: { $trim: { input: '$question' } } };
+
+// Mongo match for a from/to query; defaults to the last 30 days
+function dateRange({ from, to } = {}) {
+  const end = to ? new Date(to) : new Date();
+  // A bare date means "up to the end of that day"
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+  return { timestamp: { $gte: start, $lte: end } };
+}
+
+// Totals plus question volume, failures and average rating per period
+async function getOverview(match, interval = 'day') {
+  const Chat = mongoose.model('Chat');
+  const format = PERIOD_FORMATS[interval] || PERIOD_FORMATS.day;
+
+  const stats = {
+    questions: { $sum: 1 },
+    failed: { $sum: { $cond: ['$success', 0, 1] } },
+    rated: { $sum: { $cond: [{ $gt: ['$rating', null] }, 1, 0] } },
+    averageRating: { $avg: '$rating' }
+  };
+
+  const [result] = await Chat.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, ...stats } }],
+        timeline: [
+          { $group: { _id: { $dateToString: { format, date: '$timestamp', timezone: 'UTC' } }, ...stats } },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const withRates = ({ _id, ...row }) => ({
+    ...row,
+    averageRating: row.averageRating == null ? null : Math.round(row.averageRating * 100) / 100,
+    failureRate: row.questions ? Math.round((row.failed / row.questions) * 1000) / 1000 : 0
+  });
+
+  const totals = result.totals[0] || { questions: 0, failed: 0, rated: 0, averageRating: null };
+
+  return {
+    interval: PERIOD_FORMATS[interval] ? interval : 'day',
+    totals: withRates(totals),
+    timeline: result.timeline.map((row) => ({ period: row._id, ...withRates(row) }))
+  };
+}
+
+// Most frequently asked questions
+async function getTopQuestions(match, limit = 10) {
+  const Chat = mongoose.model('Chat');
+
+  const rows = await Chat.aggregate([
+    { $match: match },
+    { $sort: { timestamp: -1 } },
+    {
+      $group: {
+        _id: normalizedQuestion,
+        question: { $first: '$question' },
+        count: { $sum: 1 },
+        failed: { $sum: { $cond: ['$success', 0, 1] } },
+        averageRating: { $avg: '$rating' },
+        lastAskedAt: { $first: '$timestamp' }
+      }
+    },
+    { $sort: { count: -1, lastAskedAt: -1 } },
+    { $limit: limit }
+  ]);
+
+  return rows.map(({ _id, ...row }) => row);
+}
+
+// Pages cited most often. Older chats without sources only have pageNumbers,
+// so those are counted without a document name.
+async function getTopPages(match, limit = 10) {
+  const Chat = mongoose.model('Chat');
+
+  return Chat.aggregate([
+    { $match: { ...match, success: true } },
+    {
+      $project: {
+        pages: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$sources', []] } }, 0] },
+            { $map: { input: '$sources', in: { document: '$$this.document', page: '$$this.pageStart' } } },
+            { $map: { input: { $ifNull: ['$pageNumbers', []] }, in: { document: null, page: '$$this' } } }
+          ]
+        }
+      }
+    },
+    { $unwind: '$pages' },
+    { $match: { 'pages.page': { $ne: null } } },
+    // A page cited twice in one answer counts once
+    { $group: { _id: { chat: '$_id', document: '$pages.document', page: '$pages.page' } } },
+    { $group: { _id: { document: '$_id.document', page: '$_id.page' }, count: { $sum: 1 } } },
+    { $sort: { count: -1, '_id.page': 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, document: '$_id.document', page: '$_id.page', count: 1 } }
+  ]);
+}
+
+// Questions the guidelines could not answer or whose answers were rated
+// poorly, grouped by question with the feedback categories users gave
+async function getKnowledgeGaps(match, limit = 20) {
+  const Chat = mongoose.model('Chat');
+
+  const rows = await Chat.aggregate([
+    {
+      $match: {
+        ...match,
+        $or: [{ answer: NOT_AVAILABLE }, { rating: { $lte: LOW_RATING } }]
+      }
+    },
+    { $sort: { timestamp: -1 } },
+    {
+      $group: {
+        _id: normalizedQuestion,
+        question: { $first: '$question' },
+        count: { $sum: 1 },
+        notAvailable: {
+          $sum: { $cond: [{ $regexMatch: { input: '$answer', regex: NOT_AVAILABLE } }, 1, 0] }
+        },
+        lowRatings: {
+          $sum: { $cond: [{ $and: [{ $gt: ['$rating', null] }, { $lte: ['$rating', LOW_RATING] }] }, 1, 0] }
+        },
+        averageRating: { $avg: '$rating' },
+        categories: { $push: { $ifNull: ['$feedback.categories', []] } },
+        comments: { $push: '$feedback.comment' },
+        lastAskedAt: { $first: '$timestamp' }
+      }
+    },
+    { $sort: { count: -1, lastAskedAt: -1 } },
+    { $limit: limit }
+  ]);
+
+  return rows.map(({ _id, categories, comments, ...row }) => ({
+    ...row,
+    categories: [...new Set(categories.flat())],
+    comments: comments.filter(Boolean).slice(0, 3)
+  }));
+}
+
+module.exports = {
+  dateRange,
+  getOverview,
+  getTopQuestions,
+  getTopPages,
+  getKnowledgeGaps
+};
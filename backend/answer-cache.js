@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const { Document } = require('langchain/document');
+const { createVectorStore } = require('./vector-store');
+
+// Questions at least this similar to a cached question reuse its answer
+const SIMILARITY_THRESHOLD = Number(process.env.ANSWER_CACHE_THRESHOLD) || 0.95;
+
+// Age limit on top of revision-based invalidation; MongoDB's TTL index
+// removes expired entries, so the cache doesn't grow without bound
+const TTL_HOURS = Number(process.env.ANSWER_CACHE_TTL_HOURS) || 24 * 7;
+
+// Nearest cached questions checked per lookup
+const CANDIDATES = 5;
+
+// Cached question embeddings live in a vector store namespace of their own,
+// one vector per AnswerCache entry under the entry's id
+const NAMESPACE = 'answer-cache';
+
+let cacheStore = null;
+
+// Connect the cache's vector store; without it every lookup is a miss
+async function initializeAnswerCache(embeddings) {
+  if (cacheStore) return;
+  try {
+    cacheStore = await createVectorStore(embeddings, { namespace: NAMESPACE });
+  } catch (error) {
+    console.error('Answer cache store connection error:', error.message);
+  }
+}
+
+// Whether answers can be looked up and stored
+function isAnswerCacheEnabled() {
+  return Boolean(cacheStore);
+}
+
+// Entries cached before their questions were kept in the vector store can't
+// be found any more and never expired; drop them
+async function dropUnindexedAnswers() {
+  const { deletedCount } = await mongoose.model('AnswerCache').collection.deleteMany({
+    questionEmbedding: { $exists: true }
+  });
+  if (deletedCount > 0) {
+    console.log(`Answer cache: ${deletedCount} entries from before the vector index dropped`);
+  }
+}
+
+// Sorted collection slugs as one metadata value; '*' for all documents
+function scopeKey(collections) {
+  return collections.length ? [...collections].sort().join(',') : '*';
+}
+
+// Find the cached answer whose question embedding is closest to this one.
+// Only answers scoped to the same collections (none = all documents) qualify.
+async function findCachedAnswer(questionEmbedding, collections = []) {
+  if (!cacheStore) return null;
+
+  const AnswerCache = mongoose.model('AnswerCache');
+  const matches = (await cacheStore.similaritySearchVectorWithScore(
+    questionEmbedding,
+    CANDIDATES,
+    { scope: scopeKey(collections) }
+  )).filter(([, similarity]) => similarity >= SIMILARITY_THRESHOLD);
+  if (matches.length === 0) return null;
+
+  const ids = matches.map(([doc]) => doc.metadata.entryId);
+  const entries = await AnswerCache.find({
+    _id: { $in: ids },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+  const byId = new Map(entries.map(entry => [entry._id.toString(), entry]));
+
+  // Vectors of expired or deleted entries are removed as they turn up
+  const staleIds = ids.filter(id => !byId.has(id));
+  if (staleIds.length > 0) {
+    await cacheStore.deleteByIds(staleIds);
+  }
+
+  const best = matches.find(([doc]) => byId.has(doc.metadata.entryId));
+  if (!best) return null;
+
+  const entry = byId.get(best[0].metadata.entryId);
+  await AnswerCache.updateOne(
+    { _id: entry._id },
+    { $inc: { hits: 1 }, lastHitAt: new Date() }
+  );
+
+  return { entry, similarity: best[1] };
+}
+
+// Store a successful answer with the document revisions it was built from
+async function cacheAnswer({ question, questionEmbedding, answer, pageNumbers, sources, documents, collections = [] }) {
+  if (!cacheStore) return;
+
+  const AnswerCache = mongoose.model('AnswerCache');
+  const entry = await AnswerCache.create({
+    question,
+    answer,
+    pageNumbers,
+    sources,
+    documents,
+    collections: [...collections].sort(),
+    expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+  });
+
+  const entryId = entry._id.toString();
+  await cacheStore.addVectors(
+    [questionEmbedding],
+    [new Document({ pageContent: question, metadata: { entryId, scope: scopeKey(collections) } })],
+    [entryId]
+  );
+}
+
+// Delete the entries matching a MongoDB filter, with their vectors
+async function deleteCachedAnswers(filter) {
+  const AnswerCache = mongoose.model('AnswerCache');
+  const ids = (await AnswerCache.find(filter).select('_id')).map(entry => entry._id.toString());
+  if (ids.length === 0) return 0;
+
+  await cacheStore?.deleteByIds(ids);
+  const { deletedCount } = await AnswerCache.deleteMany({ _id: { $in: ids } });
+  return deletedCount;
+}
+
+// Drop entries built from any revision of a document other than currentHash.
+// Without currentHash every entry that used the document is dropped.
+async function invalidateDocument(filename, currentHash) {
+  const match = currentHash
+    ? { filename, contentHash: { $ne: currentHash } }
+    : { filename };
+
+  const deletedCount = await deleteCachedAnswers({
+    documents: { $elemMatch: match }
+  });
+
+  if (deletedCount > 0) {
+    console.log(`${filename}: ${deletedCount} cached answers invalidated`);
+  }
+  return deletedCount;
+}
+
+module.exports = {
+  initializeAnswerCache,
+  isAnswerCacheEnabled,
+  dropUnindexedAnswers,
+  findCachedAnswer,
+  cacheAnswer,
+  deleteCachedAnswers,
+  invalidateDocument
+};
@@ -0,0 +1,124 @@
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+
+const ROLES = ['staff', 'reviewer', 'admin'];
+const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+function jwtSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+}
+
+async function hashPassword(password) {
+  return bcrypt.hash(password, 10);
+}
+
+async function verifyPassword(password, passwordHash) {
+  return bcrypt.compare(password, passwordHash);
+}
+
+function signToken(user) {
+  return jwt.sign(
+    { sub: String(user._id), role: user.role },
+    jwtSecret(),
+    { expiresIn: TOKEN_EXPIRES_IN }
+  );
+}
+
+// User fields that are safe to send to the client
+function publicUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    role: user.role
+  };
+}
+
+// Reviewers and admins can see every user's records; staff only their own
+function canSeeAllRecords(user) {
+  return user.role === 'reviewer' || user.role === 'admin';
+}
+
+// Verify the bearer token and attach the current user to req.user
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const payload = jwt.verify(token, jwtSecret());
+    const User = mongoose.model('User');
+    const user = await User.findById(payload.sub);
+
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: 'Invalid or expired token'
+    });
+  }
+}
+
+// Allow the request only for the given roles; use after authenticate
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to do this'
+      });
+    }
+    next();
+  };
+}
+
+// Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no users exist
+async function ensureInitialAdmin() {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return;
+
+  try {
+    const User = mongoose.model('User');
+    if (await User.exists({})) return;
+
+    await User.create({
+      email: ADMIN_EMAIL.toLowerCase(),
+      name: 'Administrator',
+      passwordHash: await hashPassword(ADMIN_PASSWORD),
+      role: 'admin'
+    });
+    console.log(`Initial admin created: ${ADMIN_EMAIL}`);
+  } catch (error) {
+    console.error('Initial admin error:', error.message);
+  }
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  publicUser,
+  canSeeAllRecords,
+  authenticate,
+  requireRole,
+  ensureInitialAdmin
+};
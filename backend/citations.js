@@ -0,0 +1,100 @@
+const { tokenize } = require('./lexical-index');
+
+const SNIPPET_LENGTH = 300;
+
+// Number retrieved chunks so the model can cite them as [1], [2], ...
+function buildSources(searchResults) {
+  return searchResults.map((result, index) => ({
+    id: index + 1,
+    document: result.metadata.source,
+    pageStart: result.metadata.pageStart || result.metadata.pageNumber,
+    pageEnd: result.metadata.pageEnd || result.metadata.pageNumber,
+    // Word, HTML and Markdown documents have no pages and are cited by section
+    section: result.metadata.pageStart || result.metadata.pageNumber ? undefined : result.metadata.heading,
+    text: result.pageContent
+  }));
+}
+
+function pageLabel(source) {
+  if (!source.pageStart) return source.section || 'page unknown';
+  return source.pageEnd && source.pageEnd !== source.pageStart
+    ? `pages ${source.pageStart}-${source.pageEnd}`
+    : `page ${source.pageStart}`;
+}
+
+// Context block with a label line in front of every chunk
+function formatContext(sources) {
+  return sources
+    .map(source => `[${source.id}] (${source.document}, ${pageLabel(source)})\n${source.text}`)
+    .join('\n\n');
+}
+
+// The sentence(s) of a chunk that share the most words with the citing claim
+function supportingSnippet(text, claim) {
+  const claimWords = new Set(tokenize(claim));
+  const sentences = text.replace(/\s+/g, ' ').split(/(?<=[.!?])\s+/);
+
+  let bestIndex = 0;
+  let bestOverlap = -1;
+  sentences.forEach((sentence, index) => {
+    const overlap = tokenize(sentence).filter(word => claimWords.has(word)).length;
+    if (overlap > bestOverlap) {
+      bestOverlap = overlap;
+      bestIndex = index;
+    }
+  });
+
+  let snippet = sentences[bestIndex];
+  if (snippet.length < SNIPPET_LENGTH && sentences[bestIndex + 1]) {
+    snippet += ` ${sentences[bestIndex + 1]}`;
+  }
+  return snippet.length > SNIPPET_LENGTH
+    ? `${snippet.slice(0, SNIPPET_LENGTH).replace(/\s+\S*$/, '')}…`
+    : snippet;
+}
+
+// Sources actually cited in the answer, each with its supporting excerpt.
+// Markers that don't match a retrieved chunk are removed from the answer.
+function extractCitations(answer, sources) {
+  const byId = new Map(sources.map(source => [source.id, source]));
+  const claims = new Map();
+
+  const cleanedAnswer = answer.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (marker, ids) => {
+    const valid = ids.split(',').map(Number).filter(id => byId.has(id));
+    return valid.length ? valid.map(id => `[${id}]`).join('') : '';
+  });
+
+  // The text each marker supports is the line (bullet or sentence) it sits in
+  for (const line of cleanedAnswer.split('\n')) {
+    for (const [, id] of line.matchAll(/\[(\d+)\]/g)) {
+      const claim = line.replace(/\[\d+\]/g, '');
+      claims.set(Number(id), `${claims.get(Number(id)) || ''} ${claim}`);
+    }
+  }
+
+  const cited = [...claims.keys()]
+    .sort((a, b) => a - b)
+    .map(id => {
+      const source = byId.get(id);
+      return {
+        id,
+        // Position in the retrieved ranking, before the prompt budget dropped any
+        rank: source.rank,
+        document: source.document,
+        pageStart: source.pageStart,
+        pageEnd: source.pageEnd,
+        section: source.section,
+        snippet: supportingSnippet(source.text, claims.get(id))
+      };
+    });
+
+  return { answer: cleanedAnswer, sources: cited };
+}
+
+module.exports = {
+  buildSources,
+  formatContext,
+  extractCitations,
+  supportingSnippet,
+  pageLabel
+};
@@ -0,0 +1,216 @@
+const path = require('path');
+const pdf = require('pdf-parse');
+const mammoth = require('mammoth');
+const { parse: parseHtml } = require('node-html-parser');
+const { NUMBERED_HEADING } = require('./document-sections');
+
+// Loaders turn a file into the parts the rest of the pipeline chunks, indexes
+// and cites. Paged formats (PDF) give pages: { pageNumber, text }. Formats
+// without pages give sections in document order: { heading, title,
+// sectionNumber, text }, where heading is the path of headings above the text,
+// e.g. "5. Procedure > 5.2 Glove Use", and title the last of them.
+
+// "5.2 Glove Use" -> "5.2"
+const SECTION_NUMBER = /^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s/;
+const HEADING_SEPARATOR = ' > ';
+
+// Page chrome and markup that holds no document text
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'NAV', 'FOOTER', 'ASIDE', 'FORM', 'BUTTON']);
+// Elements that start a new line of text
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'CAPTION', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+  'HEADER', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TBODY', 'THEAD', 'TR', 'UL'
+]);
+
+// Extract text page by page so every chunk can keep its real page number
+async function loadPdf(buffer) {
+  const pages = [];
+  await pdf(buffer, {
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+      });
+
+      // Same line-joining logic as pdf-parse's default renderer
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        if (lastY === item.transform[5] || !lastY) {
+          text += item.str;
+        } else {
+          text += '\n' + item.str;
+        }
+        lastY = item.transform[5];
+      }
+
+      pages.push({ pageNumber: pageData.pageIndex + 1, text });
+      return text;
+    }
+  });
+
+  return pages.sort((a, b) => a.pageNumber - b.pageNumber);
+}
+
+// Word documents are converted to HTML, which keeps their heading styles
+// (Heading 1, Heading 2, ...), lists and tables. Word files don't record where
+// pages break, so they are cited by section.
+async function loadDocx(buffer) {
+  const { value } = await mammoth.convertToHtml({ buffer });
+  return buildSections(htmlBlocks(value));
+}
+
+async function loadHtml(buffer) {
+  return buildSections(htmlBlocks(decodeText(buffer)));
+}
+
+// "#" headings; headings inside fenced code blocks are text
+async function loadMarkdown(buffer) {
+  const blocks = [];
+  let inCode = false;
+  for (const line of decodeText(buffer).split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) inCode = !inCode;
+    const match = !inCode && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    blocks.push(match
+      ? { text: match[2], level: match[1].length }
+      : { text: line.trimEnd() });
+  }
+  return buildSections(blocks);
+}
+
+// Plain text has no markup, so numbered lines ("4.2 Hand Hygiene") are its headings
+async function loadText(buffer) {
+  return buildSections(decodeText(buffer).split('\n').map(line => {
+    const match = line.trim().match(NUMBERED_HEADING);
+    return match
+      ? { text: line.trim(), level: match[1].split('.').length }
+      : { text: line.trimEnd() };
+  }));
+}
+
+const LOADERS = {
+  '.pdf': loadPdf,
+  '.docx': loadDocx,
+  '.html': loadHtml,
+  '.htm': loadHtml,
+  '.md': loadMarkdown,
+  '.markdown': loadMarkdown,
+  '.txt': loadText
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(LOADERS);
+
+function decodeText(buffer) {
+  return buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+// Lines of text and headings ({ text, level }) in reading order. Pages with a
+// <main> or <article> element are read from there, which leaves out menus.
+function htmlBlocks(html) {
+  const root = parseHtml(html);
+  const content = root.querySelector('main') || root.querySelector('article') ||
+    root.querySelector('body') || root;
+
+  const blocks = [];
+  let line = '';
+  const flush = () => {
+    const text = line.replace(/\s+/g, ' ').trim();
+    if (text) blocks.push({ text });
+    line = '';
+  };
+
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      line += node.text;
+      return;
+    }
+    // The root of a fragment, like mammoth's output, has no tag name
+    const tag = node.tagName || '';
+    if (node.nodeType !== 1 || SKIPPED_TAGS.has(tag)) return;
+
+    const level = tag.match(/^H([1-6])$/)?.[1];
+    if (level) {
+      flush();
+      const text = node.text.replace(/\s+/g, ' ').trim();
+      if (text) blocks.push({ text, level: Number(level) });
+      return;
+    }
+    if (tag === 'BR') {
+      flush();
+      return;
+    }
+    // Table cells of a row stay on one line
+    if (tag === 'TD' || tag === 'TH') {
+      if (line.trim()) line += ' | ';
+      node.childNodes.forEach(walk);
+      return;
+    }
+
+    const block = BLOCK_TAGS.has(tag);
+    if (block) flush();
+    if (tag === 'LI') line = '• ';
+    node.childNodes.forEach(walk);
+    if (block) flush();
+  };
+
+  walk(content);
+  flush();
+  // A list item whose text is all in nested blocks leaves its bullet behind
+  return blocks.filter(block => block.text !== '•');
+}
+
+// Group lines under the headings above them. Headings without text of their
+// own (a page title right before its first section) only appear in the
+// heading paths of the sections below them.
+function buildSections(blocks) {
+  const sections = [];
+  const trail = [];
+  let section = { heading: null, title: null, sectionNumber: null, lines: [] };
+
+  for (const block of blocks) {
+    if (!block.level) {
+      section.lines.push(block.text);
+      continue;
+    }
+
+    sections.push(section);
+    trail.length = Math.min(trail.length, block.level - 1);
+    trail[block.level - 1] = block.text;
+    section = {
+      heading: trail.filter(Boolean).join(HEADING_SEPARATOR),
+      title: block.text,
+      sectionNumber: block.text.match(SECTION_NUMBER)?.[1] || null,
+      lines: []
+    };
+  }
+  sections.push(section);
+
+  return sections
+    .map(({ lines, ...rest }) => ({ ...rest, text: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() }))
+    .filter(part => part.text);
+}
+
+function isSupported(filename) {
+  return Object.hasOwn(LOADERS, path.extname(filename).toLowerCase());
+}
+
+// Pages or sections of a file, by its extension
+async function loadDocument(filename, buffer) {
+  const loader = LOADERS[path.extname(filename).toLowerCase()];
+  if (!loader) {
+    throw new Error(`Unsupported file type: ${filename}`);
+  }
+  return loader(buffer);
+}
+
+// Whether loaded parts are pages (PDF) rather than sections
+function isPaged(parts) {
+  return parts.length > 0 && parts[0].pageNumber != null;
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  isSupported,
+  loadDocument,
+  isPaged
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+// "Standard IPSG.01.00" headings in JCI manuals
+const STANDARD_HEADING = /^Standard\s+([A-Z]{2,5}\.\d{1,2}(?:\.\d{2})*)\s*$/;
+// "4.2 Hand Hygiene" or "4.2. Hand Hygiene" in policies and SOPs
+const NUMBERED_HEADING = /^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+([A-Z][^.:;]{2,80})$/;
+
+const TITLE_LENGTH = 200;
+
+// Lines at the top or bottom of a page that can be running headers or footers
+const EDGE_LINES = 3;
+
+// Running headers and footers: lines that repeat at the top or bottom of
+// several pages (chapter titles) or anywhere on a good share of them
+function boilerplateLines(pages) {
+  const counts = new Map();
+  const edgeCounts = new Map();
+  for (const page of pages) {
+    const lines = page.text.split('\n').map(text => text.trim()).filter(Boolean);
+    for (const line of new Set(lines)) {
+      counts.set(line, (counts.get(line) || 0) + 1);
+    }
+    for (const line of new Set([...lines.slice(0, EDGE_LINES), ...lines.slice(-EDGE_LINES)])) {
+      edgeCounts.set(line, (edgeCounts.get(line) || 0) + 1);
+    }
+  }
+
+  const threshold = Math.max(3, pages.length * 0.2);
+  return new Set([
+    ...[...counts].filter(([, count]) => count >= threshold).map(([line]) => line),
+    ...[...edgeCounts].filter(([, count]) => count >= 3).map(([line]) => line)
+  ]);
+}
+
+// Page lines without running headers, footers and page numbers
+function contentLines(pages) {
+  const boilerplate = boilerplateLines(pages);
+  return pages.flatMap(page => page.text
+    .split('\n')
+    .map(text => text.trim())
+    .filter(text => text && !boilerplate.has(text) && !/^\d+$/.test(text))
+    .map(text => ({ text, pageNumber: page.pageNumber })));
+}
+
+// Sections of documents loaded without pages (Word, HTML, Markdown), keyed by
+// section number or, for unnumbered headings, the heading itself
+function headingSections(parts) {
+  const sections = new Map();
+  for (const part of parts) {
+    if (!part.heading) continue;
+    const key = part.sectionNumber || part.heading;
+    const section = sections.get(key) || { key, title: part.title, body: [] };
+    section.body.push(part.text);
+    sections.set(key, section);
+  }
+  return [...sections.values()];
+}
+
+// Split extracted pages into sections keyed by standard ID (JCI manuals) or
+// section number (other documents). Each section records its pages and a hash
+// of its normalized text, so editions can be compared without keeping the text.
+// Documents loaded as sections keep the sections they came with.
+function extractSections(pages) {
+  if (pages.length && pages[0].pageNumber == null) {
+    return summarizeSections(headingSections(pages));
+  }
+
+  const lines = contentLines(pages);
+
+  const hasStandards = lines.some(line => STANDARD_HEADING.test(line.text));
+  const heading = (text) => {
+    const match = text.match(hasStandards ? STANDARD_HEADING : NUMBERED_HEADING);
+    return match && { key: match[1], title: match[2] || '' };
+  };
+
+  const sections = new Map();
+  let current = null;
+  let inTitle = false;
+  for (const line of lines) {
+    const found = heading(line.text);
+    if (found) {
+      // A repeated key continues the earlier section
+      current = sections.get(found.key) || {
+        key: found.key,
+        title: found.title,
+        pageStart: line.pageNumber,
+        body: []
+      };
+      sections.set(found.key, current);
+      inTitle = hasStandards && !current.title;
+      continue;
+    }
+    if (!current) continue;
+
+    // A JCI standard's title is the statement that follows its heading
+    if (inTitle && !/^Intent of /.test(line.text)) {
+      current.title = `${current.title} ${line.text}`.trim();
+      inTitle = !/[.!?]$/.test(current.title) && current.title.length < TITLE_LENGTH;
+    } else {
+      inTitle = false;
+    }
+    current.body.push(line.text);
+    current.pageEnd = line.pageNumber;
+  }
+
+  return summarizeSections([...sections.values()]);
+}
+
+// What a revision keeps of each section: its pages, and a hash and word count
+// of its normalized text
+function summarizeSections(sections) {
+  return sections.map(section => {
+    const text = section.body.join(' ').replace(/\s+/g, ' ').trim().toLowerCase();
+    return {
+      key: section.key,
+      title: section.title.slice(0, TITLE_LENGTH),
+      pageStart: section.pageStart,
+      pageEnd: section.pageEnd || section.pageStart,
+      hash: crypto.createHash('sha256').update(text).digest('hex').slice(0, 16),
+      words: text ? text.split(' ').length : 0
+    };
+  });
+}
+
+// Sections added, removed and changed between two editions, in document order
+function compareSections(fromSections, toSections) {
+  const before = new Map(fromSections.map(section => [section.key, section]));
+  const after = new Map(toSections.map(section => [section.key, section]));
+  const describe = ({ key, title, pageStart, pageEnd, words }) => ({ key, title, pageStart, pageEnd, words });
+
+  const added = toSections.filter(section => !before.has(section.key)).map(describe);
+  const removed = fromSections.filter(section => !after.has(section.key)).map(describe);
+  const changed = [];
+  let unchanged = 0;
+
+  for (const section of toSections) {
+    const old = before.get(section.key);
+    if (!old) continue;
+    if (old.hash === section.hash) {
+      unchanged++;
+      continue;
+    }
+    changed.push({
+      key: section.key,
+      title: section.title,
+      before: { title: old.title, pageStart: old.pageStart, pageEnd: old.pageEnd, words: old.words },
+      after: { title: section.title, pageStart: section.pageStart, pageEnd: section.pageEnd, words: section.words }
+    });
+  }
+
+  return { added, removed, changed, unchanged };
+}
+
+module.exports = {
+  STANDARD_HEADING,
+  NUMBERED_HEADING,
+  contentLines,
+  extractSections,
+  compareSections
+};
@@ -0,0 +1,158 @@
+// Offline evaluation of retrieval and answer quality against a golden dataset.
+//
+//   node evaluate.js run --dataset eval/golden.sample.json [--config eval/configs/baseline.json]
+//                        [--name <run name>] [--out <file>] [--limit <n>]
+//   node evaluate.js diff <before.json> <after.json> [--out <file>]
+//
+// A config is { "name": "...", "env": { "CHUNK_SIZE": "800", "RETRIEVAL_TOP_K": "8", ... } }
+// and may set any setting the RAG service reads from the environment. Runs use
+// their own local index under data/eval, keyed by the settings that change
+// indexing, so they never touch MongoDB, Pinecone or the chat history.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { scoreItem, summarize, diffRuns, formatSummary, formatDiff } = require('./evaluation');
+const { isSupported } = require('./document-loaders');
+
+const EVAL_DIR = path.join(__dirname, 'data', 'eval');
+
+// Settings that change what ends up in the index
+const INDEX_SETTINGS = ['CHUNKING', 'CHUNK_SIZE', 'CHUNK_OVERLAP', 'EMBEDDINGS_PROVIDER', 'EMBEDDINGS_MODEL'];
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args._.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Golden items from a JSON array or a JSON Lines file
+function loadDataset(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const items = file.endsWith('.jsonl')
+    ? text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+    : JSON.parse(text);
+
+  items.forEach((item, index) => {
+    if (!item.question) throw new Error(`Dataset item ${index + 1} has no question`);
+    item.id = item.id || String(index + 1);
+  });
+  return items;
+}
+
+// Point the vector store and keyword index at a directory for this index configuration
+function useEvaluationIndex(pdfDir) {
+  const hash = crypto.createHash('sha256');
+  INDEX_SETTINGS.forEach(key => hash.update(`${key}=${process.env[key] || ''};`));
+  for (const file of fs.readdirSync(pdfDir).filter(isSupported).sort()) {
+    hash.update(file).update(fs.readFileSync(path.join(pdfDir, file)));
+  }
+
+  const indexDir = path.join(EVAL_DIR, `index-${hash.digest('hex').slice(0, 12)}`);
+  process.env.VECTOR_STORE = 'local';
+  process.env.LOCAL_VECTOR_STORE_PATH = path.join(indexDir, 'vector-store.json');
+  process.env.LEXICAL_INDEX_PATH = path.join(indexDir, 'lexical-index.json');
+  return indexDir;
+}
+
+async function run(args) {
+  if (!args.dataset) throw new Error('--dataset is required');
+
+  const config = args.config ? readJSON(args.config) : { name: 'default', env: {} };
+  for (const [key, value] of Object.entries(config.env || {})) {
+    process.env[key] = String(value);
+  }
+
+  // The RAG modules read their settings when loaded, so load them after the overrides
+  const { initializeStandalone, getAnswer, PDF_DIR } = require('./rag-service');
+  const pdfDir = config.pdfDir ? path.resolve(path.dirname(args.config), config.pdfDir) : PDF_DIR;
+  const indexDir = useEvaluationIndex(pdfDir);
+  console.log(`Index: ${path.relative(__dirname, indexDir)}`);
+  await initializeStandalone(pdfDir);
+
+  let items = loadDataset(args.dataset);
+  if (args.limit) items = items.slice(0, Number(args.limit));
+
+  const name = args.name || config.name || path.basename(args.config || 'default', '.json');
+  const startedAt = new Date();
+  const scores = [];
+
+  for (const [index, item] of items.entries()) {
+    let retrieved = [];
+    const started = Date.now();
+    const result = await getAnswer(item.question, `eval_${startedAt.getTime()}_${item.id}`, {
+      persist: false,
+      onRetrieved: (documents) => {
+        retrieved = documents.map(doc => ({
+          document: doc.metadata.source,
+          pageStart: doc.metadata.pageStart || doc.metadata.pageNumber,
+          pageEnd: doc.metadata.pageEnd || doc.metadata.pageNumber,
+          text: doc.pageContent
+        }));
+      }
+    });
+
+    const score = scoreItem(item, { retrieved, result, latencyMs: Date.now() - started });
+    scores.push(score);
+    console.log(`[${index + 1}/${items.length}] ${item.id}: ${score.hit === undefined ? '-' : score.hit ? 'hit' : 'miss'}` +
+      `${score.rank ? ` @${score.rank}` : ''}, ${score.scopeCorrect ? 'scope ok' : 'scope wrong'}` +
+      `${score.overlap ? `, F1 ${score.overlap.f1}` : ''}`);
+  }
+
+  const report = {
+    name,
+    dataset: path.relative(__dirname, path.resolve(args.dataset)),
+    config,
+    startedAt,
+    finishedAt: new Date(),
+    summary: summarize(scores),
+    scores
+  };
+
+  const out = args.out ||
+    path.join(EVAL_DIR, 'runs', `${name}-${startedAt.toISOString().replace(/[:.]/g, '-')}.json`);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify(report, null, 2));
+
+  console.log(`\n${formatSummary(report)}\n\nSaved to ${out}`);
+}
+
+function diff(args) {
+  const [beforeFile, afterFile] = args._.slice(1);
+  if (!beforeFile || !afterFile) throw new Error('diff needs two run files');
+
+  const report = formatDiff(diffRuns(readJSON(beforeFile), readJSON(afterFile)));
+  if (args.out) fs.writeFileSync(args.out, `${report}\n`);
+  console.log(report);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  switch (args._[0]) {
+    case 'run':
+      return run(args);
+    case 'diff':
+      return diff(args);
+    default:
+      console.log('Usage:\n' +
+        '  node evaluate.js run --dataset <file> [--config <file>] [--name <name>] [--out <file>] [--limit <n>]\n' +
+        '  node evaluate.js diff <before.json> <after.json> [--out <file>]');
+      process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Evaluation error:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,204 @@
+// Scoring for offline evaluation runs (see evaluate.js). A golden item looks like
+// { id, question, expectedPages, expectedStandards, document, referenceAnswer, inScope }.
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from', 'has', 'have',
+  'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'should', 'such', 'that',
+  'the', 'their', 'there', 'these', 'this', 'to', 'was', 'were', 'which', 'with', 'within'
+]);
+
+const DECLINED = /Outside My Expertise|Information Not Available/i;
+
+// Content words of an answer, without markdown, citation markers and stop words
+function contentWords(text = '') {
+  return (text
+    .replace(/\[\d+\]/g, ' ')
+    .toLowerCase()
+    .match(/[a-z0-9]+(?:[.\-/][a-z0-9]+)*/g) || [])
+    .filter(word => !STOP_WORDS.has(word));
+}
+
+// Word overlap with the reference answer, counting repeated words at most as
+// often as they appear in the reference
+function referenceOverlap(answer, reference) {
+  const answerWords = contentWords(answer);
+  const referenceCounts = new Map();
+  for (const word of contentWords(reference)) {
+    referenceCounts.set(word, (referenceCounts.get(word) || 0) + 1);
+  }
+  const referenceLength = [...referenceCounts.values()].reduce((sum, n) => sum + n, 0);
+
+  let shared = 0;
+  for (const word of answerWords) {
+    const remaining = referenceCounts.get(word) || 0;
+    if (remaining > 0) {
+      shared++;
+      referenceCounts.set(word, remaining - 1);
+    }
+  }
+
+  const precision = answerWords.length ? shared / answerWords.length : 0;
+  const recall = referenceLength ? shared / referenceLength : 0;
+  const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+  return { precision: round(precision), recall: round(recall), f1: round(f1) };
+}
+
+// "IPSG.01" matches IPSG.01 and its sub-standards (IPSG.01.00), not IPSG.010
+function mentionsStandard(text, standard) {
+  const escaped = standard.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![A-Za-z0-9])${escaped}(?![A-Za-z0-9])`, 'i').test(text);
+}
+
+// A retrieved chunk is relevant if it covers an expected page or mentions an
+// expected standard. With item.document set, only chunks of that document count.
+function isRelevant(chunk, item) {
+  if (item.document && chunk.document !== item.document) return false;
+
+  const pages = item.expectedPages || [];
+  const onPage = pages.some(page => page >= chunk.pageStart && page <= (chunk.pageEnd || chunk.pageStart));
+  const standards = item.expectedStandards || [];
+  const onStandard = standards.some(standard => mentionsStandard(chunk.text || '', standard));
+
+  return onPage || onStandard;
+}
+
+function hasRetrievalExpectations(item) {
+  return (item.expectedPages || []).length > 0 || (item.expectedStandards || []).length > 0;
+}
+
+// Score one answered golden item
+function scoreItem(item, { retrieved, result, latencyMs }) {
+  const inScope = item.inScope !== false;
+  const declined = !result.answered || DECLINED.test(result.answer);
+  const score = {
+    id: item.id,
+    question: item.question,
+    inScope,
+    answer: result.answer,
+    answered: !declined,
+    scopeCorrect: inScope ? !declined : declined,
+    latencyMs,
+    retrieved: retrieved.map(({ document, pageStart, pageEnd }) => ({ document, pageStart, pageEnd }))
+  };
+
+  if (inScope && hasRetrievalExpectations(item)) {
+    const rank = retrieved.findIndex(chunk => isRelevant(chunk, item)) + 1;
+    score.rank = rank || null;
+    score.hit = rank > 0;
+    score.reciprocalRank = rank ? round(1 / rank) : 0;
+
+    // Did the answer cite a relevant passage, not just retrieve one?
+    // A citation's rank is its chunk's position in the retrieved list; [n]
+    // itself only numbers the chunks that fit the prompt.
+    score.citedHit = (result.sources || []).some(source => {
+      const chunk = retrieved[(source.rank ?? source.id) - 1];
+      return chunk && isRelevant(chunk, item);
+    });
+  }
+
+  if (inScope && item.referenceAnswer) {
+    score.overlap = referenceOverlap(result.answer, item.referenceAnswer);
+  }
+
+  return score;
+}
+
+// Aggregate metrics for a run; each metric only counts items it applies to
+function summarize(scores) {
+  const mean = (values) => values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+  const withRetrieval = scores.filter(score => score.hit !== undefined);
+  const withReference = scores.filter(score => score.overlap);
+
+  return {
+    questions: scores.length,
+    retrievalHitRate: mean(withRetrieval.map(score => (score.hit ? 1 : 0))),
+    mrr: mean(withRetrieval.map(score => score.reciprocalRank)),
+    citedHitRate: mean(withRetrieval.map(score => (score.citedHit ? 1 : 0))),
+    referenceF1: mean(withReference.map(score => score.overlap.f1)),
+    referenceRecall: mean(withReference.map(score => score.overlap.recall)),
+    scopeAccuracy: mean(scores.map(score => (score.scopeCorrect ? 1 : 0))),
+    meanLatencyMs: Math.round(mean(scores.map(score => score.latencyMs)) || 0)
+  };
+}
+
+const METRICS = [
+  ['retrievalHitRate', 'Retrieval hit rate'],
+  ['mrr', 'MRR'],
+  ['citedHitRate', 'Cited hit rate'],
+  ['referenceF1', 'Reference F1'],
+  ['referenceRecall', 'Reference recall'],
+  ['scopeAccuracy', 'Scope accuracy'],
+  ['meanLatencyMs', 'Mean latency (ms)']
+];
+
+// Per-metric and per-question differences between two runs of the same dataset
+function diffRuns(before, after) {
+  const metrics = METRICS.map(([key, label]) => {
+    const a = before.summary[key];
+    const b = after.summary[key];
+    return { key, label, before: a, after: b, delta: a == null || b == null ? null : round(b - a) };
+  });
+
+  const previous = new Map(before.scores.map(score => [score.id, score]));
+  const questions = [];
+  for (const score of after.scores) {
+    const old = previous.get(score.id);
+    if (!old) continue;
+
+    const changes = [];
+    if (old.hit !== score.hit) changes.push(score.hit ? 'retrieval now hits' : 'retrieval no longer hits');
+    if (old.rank !== score.rank && old.hit && score.hit) changes.push(`first relevant rank ${old.rank} -> ${score.rank}`);
+    if (old.scopeCorrect !== score.scopeCorrect) changes.push(score.scopeCorrect ? 'scope now correct' : 'scope now wrong');
+    const f1Delta = round((score.overlap?.f1 || 0) - (old.overlap?.f1 || 0));
+    if (Math.abs(f1Delta) >= 0.1) changes.push(`reference F1 ${f1Delta > 0 ? '+' : ''}${f1Delta}`);
+
+    if (changes.length > 0) {
+      questions.push({ id: score.id, question: score.question, changes });
+    }
+  }
+
+  return { before: before.name, after: after.name, metrics, questions };
+}
+
+// Plain-text report of a run summary
+function formatSummary(run) {
+  const lines = [`Run: ${run.name} (${run.summary.questions} questions)`];
+  for (const [key, label] of METRICS) {
+    lines.push(`  ${label.padEnd(20)} ${formatValue(run.summary[key])}`);
+  }
+  return lines.join('\n');
+}
+
+// Plain-text report of a diff
+function formatDiff(diff) {
+  const lines = [`Diff: ${diff.before} -> ${diff.after}`, ''];
+  for (const metric of diff.metrics) {
+    const delta = metric.delta == null ? '' : `  (${metric.delta > 0 ? '+' : ''}${metric.delta})`;
+    lines.push(`  ${metric.label.padEnd(20)} ${formatValue(metric.before).padStart(8)} -> ${formatValue(metric.after).padStart(8)}${delta}`);
+  }
+
+  lines.push('', diff.questions.length ? 'Changed questions:' : 'No per-question changes.');
+  for (const question of diff.questions) {
+    lines.push(`  [${question.id}] ${question.question}`);
+    question.changes.forEach(change => lines.push(`      ${change}`));
+  }
+  return lines.join('\n');
+}
+
+function formatValue(value) {
+  return value == null ? 'n/a' : String(value);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  referenceOverlap,
+  isRelevant,
+  scoreItem,
+  summarize,
+  diffRuns,
+  formatSummary,
+  formatDiff
+};
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { serviceClients } = require('./rag-service');
+const { isKnowledgeBaseReady, ingestionStatus } = require('./ingestion-jobs');
+
+// A dependency that takes longer than this to answer counts as down
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 5000;
+// LLM and embedding checks are real (small, billed) API calls, so a result is
+// reused for this long; readiness probes often run every few seconds
+const PROVIDER_CHECK_TTL_MS = Number(process.env.HEALTH_PROVIDER_CHECK_TTL_MS) || 5 * 60 * 1000;
+
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+const providerResults = new Map();
+
+// Run a check with a time limit: { ok, latencyMs, ...details } or { ok: false, error }
+async function timed(check) {
+  const started = Date.now();
+  let timer;
+  try {
+    const details = await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { ok: true, latencyMs: Date.now() - started, ...details };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - started, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Passing provider checks are reused; failing ones are retried on the next probe
+async function cachedCheck(name, check) {
+  const cached = providerResults.get(name);
+  if (cached && Date.now() - cached.checkedAt < PROVIDER_CHECK_TTL_MS) {
+    return { ...cached.result, checkedAt: new Date(cached.checkedAt).toISOString() };
+  }
+
+  const result = await timed(check);
+  const checkedAt = Date.now();
+  if (result.ok) providerResults.set(name, { result, checkedAt });
+  return { ...result, checkedAt: new Date(checkedAt).toISOString() };
+}
+
+async function checkMongo() {
+  const state = mongoose.connection.readyState;
+  if (state !== 1) {
+    throw new Error(`MongoDB is ${MONGO_STATES[state] || 'not connected'}`);
+  }
+  await mongoose.connection.db.admin().ping();
+  return {};
+}
+
+async function checkVectorStore() {
+  const { vectorStore } = serviceClients();
+  if (!vectorStore) throw new Error('Vector store is not connected');
+  return { store: vectorStore.name, ...(await vectorStore.stats()) };
+}
+
+async function checkEmbeddings() {
+  const { embeddings } = serviceClients();
+  if (!embeddings) throw new Error('Embeddings are not initialized');
+  const vector = await embeddings.embedQuery('health check');
+  if (!vector?.length) throw new Error('Embeddings returned an empty vector');
+  return { dimensions: vector.length };
+}
+
+async function checkLLM() {
+  const { llm } = serviceClients();
+  if (!llm) throw new Error('Chat model is not initialized');
+  await llm.invoke('Reply with OK.');
+  return {};
+}
+
+async function checkKnowledgeBase() {
+  const { error, queued = 0, running = 0 } = await ingestionStatus();
+  if (error) throw new Error(error);
+  if (!isKnowledgeBaseReady()) throw new Error('Startup ingestion is still running');
+  return { queued, running };
+}
+
+// Every dependency a question needs. ready is true only when all of them are.
+async function checkReadiness() {
+  const [mongodb, vectorStore, embeddings, llm, knowledgeBase] = await Promise.all([
+    timed(checkMongo),
+    timed(checkVectorStore),
+    cachedCheck('embeddings', checkEmbeddings),
+    cachedCheck('llm', checkLLM),
+    timed(checkKnowledgeBase)
+  ]);
+  const checks = { mongodb, vectorStore, embeddings, llm, knowledgeBase };
+
+  return {
+    ready: Object.values(checks).every(check => check.ok),
+    checks
+  };
+}
+
+// Cheap summary for /api/health: connections only, no provider calls
+function connectionStatus() {
+  return {
+    mongodb: mongoose.connection.readyState === 1,
+    vectorStore: Boolean(serviceClients().vectorStore)
+  };
+}
+
+module.exports = {
+  checkReadiness,
+  connectionStatus
+};
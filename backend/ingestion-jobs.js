@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const { initializeRAG, ingestPDF, PDF_DIR } = require('./rag-service');
+
+// Documents are ingested as IngestionJob records, one at a time, in the order
+// they were queued: queued -> running -> done | failed. Chat waits until the
+// documents found at startup are in; uploads later on don't hold it up.
+const startup = { done: false, error: null };
+
+// A failed startup (MongoDB not up yet, vector store unreachable) is retried,
+// waiting STARTUP_RETRY_DELAY_MS and doubling each time up to five minutes
+const STARTUP_RETRY_DELAY_MS = Number(process.env.STARTUP_RETRY_DELAY_MS) || 5000;
+const STARTUP_RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+let draining = null;
+let drainAgain = false;
+
+// Queue a document. A document already waiting keeps its place in the queue
+// and takes the newer revision details.
+async function enqueueIngestion(filename, { trigger = 'upload', revision } = {}) {
+  const IngestionJob = mongoose.model('IngestionJob');
+  const job = await IngestionJob.findOneAndUpdate(
+    { filename, status: 'queued' },
+    { $setOnInsert: { trigger }, ...(revision && { revision }) },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  runQueue();
+  return job;
+}
+
+// Run queued jobs until none are left; resolves once the queue is empty
+function runQueue() {
+  if (draining) {
+    // Jobs queued while the last one was being picked up must not be missed
+    drainAgain = true;
+    return draining;
+  }
+
+  draining = (async () => {
+    do {
+      drainAgain = false;
+      await drainQueue();
+    } while (drainAgain);
+  })()
+    .catch(error => console.error('Ingestion queue error:', error.message))
+    .finally(() => {
+      draining = null;
+    });
+  return draining;
+}
+
+async function drainQueue() {
+  const IngestionJob = mongoose.model('IngestionJob');
+  let job;
+  while ((job = await IngestionJob.findOneAndUpdate(
+    { status: 'queued' },
+    { status: 'running', startedAt: new Date() },
+    { sort: { createdAt: 1 }, new: true }
+  ))) {
+    await runJob(job);
+  }
+}
+
+async function runJob(job) {
+  const IngestionJob = mongoose.model('IngestionJob');
+  console.log(`Ingestion job ${job._id}: ${job.filename} (${job.trigger})`);
+
+  try {
+    await ingestPDF(job.filename, PDF_DIR, {
+      label: job.revision?.label,
+      effectiveDate: job.revision?.effectiveDate,
+      onProgress: (progress) => IngestionJob.updateOne({ _id: job._id }, { progress }),
+      onRetry: (error) => IngestionJob.updateOne(
+        { _id: job._id },
+        { $inc: { retries: 1 }, error: error.message }
+      )
+    });
+    await IngestionJob.updateOne(
+      { _id: job._id },
+      { status: 'done', error: null, finishedAt: new Date() }
+    );
+  } catch (error) {
+    console.error(`Ingestion job ${job._id} failed:`, error.message);
+    await IngestionJob.updateOne(
+      { _id: job._id },
+      { status: 'failed', error: error.message, finishedAt: new Date() }
+    );
+  }
+}
+
+// Queue a failed job's document again, as a new job
+async function retryJob(job) {
+  return enqueueIngestion(job.filename, { trigger: 'retry', revision: job.revision });
+}
+
+// Initialize RAG and ingest what changed in the pdfs folder since the last
+// run, trying again until it succeeds. startup.error holds the last failure
+// while it is being retried.
+async function startIngestion() {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const pending = await initializeRAG();
+
+      // Jobs a restart cut short fail; the startup scan picked their documents up again
+      await mongoose.model('IngestionJob').updateMany(
+        { status: 'running' },
+        { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() }
+      );
+      for (const filename of pending) {
+        await enqueueIngestion(filename, { trigger: 'startup' });
+      }
+      await runQueue();
+
+      startup.error = null;
+      startup.done = true;
+      return;
+    } catch (error) {
+      startup.error = error.message;
+      const delay = Math.min(STARTUP_RETRY_DELAY_MS * 2 ** attempt, STARTUP_RETRY_MAX_DELAY_MS);
+      console.error(`RAG Service initialization error - Retrying in ${delay}ms:`, error);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Whether questions can be answered: startup ingestion has finished
+function isKnowledgeBaseReady() {
+  return startup.done;
+}
+
+// Readiness and the jobs still to do, with the chunks embedded so far. Counts
+// are left out while MongoDB is not connected.
+async function ingestionStatus() {
+  const ready = isKnowledgeBaseReady();
+  const status = { ready, updating: !startup.done, error: startup.error };
+  if (mongoose.connection.readyState !== 1) return status;
+
+  const active = await mongoose.model('IngestionJob')
+    .find({ status: { $in: ['queued', 'running'] } })
+    .select('status progress');
+  const running = active.filter(job => job.status === 'running');
+
+  return {
+    ...status,
+    updating: !startup.done || active.length > 0,
+    queued: active.length - running.length,
+    running: running.length,
+    progress: {
+      embedded: running.reduce((sum, job) => sum + (job.progress?.embedded || 0), 0),
+      total: running.reduce((sum, job) => sum + (job.progress?.total || 0), 0)
+    }
+  };
+}
+
+module.exports = {
+  startIngestion,
+  enqueueIngestion,
+  retryJob,
+  isKnowledgeBaseReady,
+  ingestionStatus
+};
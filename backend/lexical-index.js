@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { Document } = require('langchain/document');
+const { matchesFilter } = require('./vector-store');
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Lowercased words, keeping dotted codes like "ipsg.1" or "mmu.4.1" intact.
+// Dotted codes also index their prefixes so "IPSG.1" finds "IPSG.1.1".
+function tokenize(text) {
+  const tokens = [];
+  for (const word of text.toLowerCase().match(/[a-z0-9]+(?:[.\-/][a-z0-9]+)*/g) || []) {
+    tokens.push(word);
+
+    const parts = word.split(/[.\-/]/);
+    if (parts.length > 1) {
+      tokens.push(...parts);
+      for (let i = 2; i < parts.length; i++) {
+        tokens.push(word.slice(0, parts.slice(0, i).join('.').length));
+      }
+    }
+  }
+  return tokens;
+}
+
+// BM25 keyword index over the same chunks as the vector store, persisted to a
+// JSON file. Mirrors the vector store interface so ingestion can treat both alike.
+function createLexicalIndex() {
+  const indexPath = process.env.LEXICAL_INDEX_PATH ||
+    path.join(__dirname, 'data', 'lexical-index.json');
+
+  let records = new Map();
+  if (fs.existsSync(indexPath)) {
+    const saved = JSON.parse(fs.readFileSync(indexPath, 'utf8')).records || [];
+    records = new Map(saved.map(record => [record.id, record]));
+  }
+
+  // Document frequency per term, rebuilt from records and kept in sync
+  const documentFrequency = new Map();
+  let totalLength = 0;
+
+  const track = (record, direction) => {
+    totalLength += direction * record.length;
+    for (const term of Object.keys(record.termFrequency)) {
+      const count = (documentFrequency.get(term) || 0) + direction;
+      if (count > 0) documentFrequency.set(term, count);
+      else documentFrequency.delete(term);
+    }
+  };
+  records.forEach(record => track(record, 1));
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    const tmpPath = `${indexPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ records: [...records.values()] }));
+    fs.renameSync(tmpPath, indexPath);
+  };
+
+  const remove = (id) => {
+    const record = records.get(id);
+    if (record) {
+      track(record, -1);
+      records.delete(id);
+    }
+  };
+
+  return {
+    async addDocuments(docs, ids) {
+      docs.forEach((doc, index) => {
+        const tokens = tokenize(doc.pageContent);
+        const termFrequency = {};
+        for (const token of tokens) {
+          termFrequency[token] = (termFrequency[token] || 0) + 1;
+        }
+
+        remove(ids[index]);
+        const record = {
+          id: ids[index],
+          pageContent: doc.pageContent,
+          metadata: doc.metadata,
+          termFrequency,
+          length: tokens.length
+        };
+        records.set(record.id, record);
+        track(record, 1);
+      });
+      save();
+    },
+
+    async search(query, k, filter) {
+      const terms = [...new Set(tokenize(query))];
+      if (terms.length === 0 || records.size === 0) return [];
+
+      const averageLength = totalLength / records.size;
+      const scored = [];
+
+      for (const record of records.values()) {
+        if (!matchesFilter(record.metadata, filter)) continue;
+
+        let score = 0;
+        for (const term of terms) {
+          const frequency = record.termFrequency[term];
+          if (!frequency) continue;
+
+          const df = documentFrequency.get(term) || 0;
+          const idf = Math.log(1 + (records.size - df + 0.5) / (df + 0.5));
+          score += idf * (frequency * (K1 + 1)) /
+            (frequency + K1 * (1 - B + B * record.length / averageLength));
+        }
+
+        if (score > 0) scored.push([record, score]);
+      }
+
+      return scored
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, k)
+        .map(([record, score]) => [
+          new Document({ pageContent: record.pageContent, metadata: record.metadata }),
+          score
+        ]);
+    },
+
+    async deleteByIds(ids) {
+      ids.forEach(remove);
+      save();
+    },
+
+    async deleteByDocument(source) {
+      for (const record of [...records.values()]) {
+        if (record.metadata.source === source) remove(record.id);
+      }
+      save();
+    },
+
+    async updateMetadata(ids, metadata) {
+      ids.forEach(id => {
+        const record = records.get(id);
+        if (record) record.metadata = { ...record.metadata, ...metadata };
+      });
+      save();
+    },
+
+    // Chunks matching a metadata filter, in document and chunk order
+    find(filter) {
+      return [...records.values()]
+        .filter(record => matchesFilter(record.metadata, filter))
+        .sort((a, b) => a.metadata.source.localeCompare(b.metadata.source) ||
+          a.metadata.chunkIndex - b.metadata.chunkIndex)
+        .map(record => new Document({ pageContent: record.pageContent, metadata: record.metadata }));
+    },
+
+    hasDocument(source) {
+      for (const record of records.values()) {
+        if (record.metadata.source === source) return true;
+      }
+      return false;
+    }
+  };
+}
+
+module.exports = {
+  createLexicalIndex,
+  tokenize
+};
@@ -0,0 +1,85 @@
+const client = require('prom-client');
+
+// Prometheus metrics, served at /metrics. Rates and ratios are left to
+// queries, e.g. the answer cache hit rate:
+//   sum(rate(rag_answer_cache_lookups_total{result="hit"}[5m]))
+//     / sum(rate(rag_answer_cache_lookups_total[5m]))
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const retrievalDuration = new client.Histogram({
+  name: 'rag_retrieval_duration_seconds',
+  help: 'Hybrid search and re-ranking time per question',
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10],
+  registers: [register]
+});
+
+const llmDuration = new client.Histogram({
+  name: 'rag_llm_duration_seconds',
+  help: 'Answer generation time by chat model',
+  labelNames: ['model'],
+  buckets: [0.5, 1, 2, 5, 10, 20, 30, 60],
+  registers: [register]
+});
+
+const cacheLookups = new client.Counter({
+  name: 'rag_answer_cache_lookups_total',
+  help: 'Answer cache lookups by result (hit, miss)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+const answers = new client.Counter({
+  name: 'rag_answers_total',
+  help: 'Questions by outcome: answered, unanswered (nothing relevant found) or error',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+const llmTokens = new client.Counter({
+  name: 'rag_llm_tokens_total',
+  help: 'Tokens sent to (prompt) and generated by (completion) the chat model, as counted by the tokenizer',
+  labelNames: ['model', 'type'],
+  registers: [register]
+});
+
+// Count and time every request under its route pattern ("/api/documents/:id"),
+// so IDs in paths don't each make a series of their own
+function httpMetrics(req, res, next) {
+  const endTimer = httpDuration.startTimer();
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode
+    };
+    httpRequests.inc(labels);
+    endTimer(labels);
+  });
+  next();
+}
+
+module.exports = {
+  register,
+  httpMetrics,
+  retrievalDuration,
+  llmDuration,
+  cacheLookups,
+  answers,
+  llmTokens
+};
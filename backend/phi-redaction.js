@@ -0,0 +1,98 @@
+const fs = require('fs');
+
+// Built-in detectors, applied in order. Each match is replaced by the
+// placeholder for its type, e.g. "MRN 00123456" -> "[MRN]".
+const DEFAULT_PATTERNS = [
+  {
+    type: 'EMAIL',
+    pattern: /\b[\w.+-]+@[\w-]+\.[\w.-]+\b/g
+  },
+  {
+    // Medical record numbers, labelled: "MRN 123456", "MR#: A1234567", "record no. 445566"
+    type: 'MRN',
+    pattern: /\b(?:MRN|MR\s?#|medical record(?: number| no\.?)?|record (?:number|no\.?)|hospital (?:number|no\.?))\s*[:#]?\s*[A-Z]{0,3}\d[\d-]{4,}\b/gi
+  },
+  {
+    // Dates of birth, labelled or not: "DOB 03/04/1985", "born on 4 March 1985"
+    type: 'DOB',
+    pattern: /\b(?:DOB|D\.O\.B\.?|date of birth|born(?: on)?)\s*[:-]?\s*(?:\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{4}-\d{2}-\d{2}|\d{1,2}\s+[A-Za-z]{3,9}\.?,?\s+\d{4}|[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4})/gi
+  },
+  {
+    // Any other full calendar date in a question is most likely patient-specific,
+    // except the dates of documents: "2024-01-01 edition", "effective 01/07/2023"
+    type: 'DATE',
+    pattern: /(?<!\b(?:effective|edition|version|revision|issued|published|updated)(?:\s+(?:on|from|of|dated))?\s+)\b(?:\d{1,2}[/.]\d{1,2}[/.](?:19|20)\d{2}|(?:19|20)\d{2}-\d{2}-\d{2})\b(?!\s+(?:edition|version|revision|update|manual|standards?)\b)/gi
+  },
+  {
+    // US SSN, UK NHS number and similar national identifiers
+    type: 'NATIONAL_ID',
+    pattern: /\b(?:\d{3}-\d{2}-\d{4}|\d{3}\s\d{3}\s\d{4}|(?:SSN|NHS(?: number| no\.?)?|national id(?: number)?|aadhaar|emirates id|passport(?: number| no\.?)?)\s*[:#]?\s*[A-Z0-9][A-Z0-9 -]{5,}[A-Z0-9])\b/gi
+  },
+  {
+    // Phone-shaped numbers only: labelled ("tel: 5551234567"), international
+    // ("+44 20 7946 0958"), with an area code in brackets or separators
+    // ("(02) 9876 5432", "555-123-4567") or a trunk prefix ("07700 900123").
+    // Plain digit runs ("123456789 units") are doses and counts, not phones.
+    type: 'PHONE',
+    pattern: /(?:\b(?:phone|tel\.?|telephone|mobile|cell|contact)(?:\s+(?:number|no\.?))?\s*[:#]?\s*\+?\d[\d\s().-]{6,}\d|\+\d{1,3}[\s-]?(?:\(\d{1,4}\)[\s-]?)?\d{2,4}(?:[\s-]?\d{2,4}){1,3}\b|\(\d{2,4}\)[\s-]?\d{3,4}[\s-]?\d{3,4}\b|\b\d{3}[\s.-]\d{3}[\s.-]\d{4}\b|\b0\d{3,4}[\s.-]?\d{3}[\s.-]?\d{3,4}\b)/gi,
+    keepPrefix: /^(?:phone|tel\.?|telephone|mobile|cell|contact)(?:\s+(?:number|no\.?))?\s*[:#]?\s*/i
+  },
+  {
+    // Names after an honorific, or after "patient" only with a name cue:
+    // "Mrs. Jane Doe", "patient named John Smith", "pt: John Smith",
+    // "name is John Smith". "Patient Falls prevention" and "Patient Transfer"
+    // are guideline topics, so a capitalized word after "patient" is not enough.
+    type: 'NAME',
+    pattern: /(?:\b(?:Mr|Mrs|Ms|Miss|Mx)\.?\s+|\b(?:[Pp]atient|[Pp]t\.?)\s+(?:named|called)\s+|\b(?:[Pp]atient|[Pp]t\.?)\s*:\s*|\b(?:[Pp]atient(?:'s)?\s+)?[Nn]ame\s*(?:is\s+|:\s*))[A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+){0,2}/g,
+    keepPrefix: /^(?:(?:patient|pt\.?)\s+(?:named|called)\s+|(?:patient|pt\.?)\s*:\s*|(?:patient(?:'s)?\s+)?name\s*(?:is\s+|:\s*))/i
+  }
+];
+
+// Extra patterns from PHI_PATTERNS_FILE: [{ "type": "BED", "pattern": "Bed \\d+", "flags": "gi" }]
+function loadCustomPatterns() {
+  const file = process.env.PHI_PATTERNS_FILE;
+  if (!file) return [];
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).map(({ type, pattern, flags = 'gi' }) => ({
+      type: type.toUpperCase(),
+      pattern: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`)
+    }));
+  } catch (error) {
+    console.error('PHI pattern file error:', error.message);
+    return [];
+  }
+}
+
+const PATTERNS = [...loadCustomPatterns(), ...DEFAULT_PATTERNS];
+const ENABLED = process.env.PHI_REDACTION !== 'off';
+
+// Replace protected health information with placeholders. Returns the safe
+// text and a count per type; the original values are never returned or stored.
+function redactPHI(text) {
+  if (!ENABLED || !text) {
+    return { text, redactions: [] };
+  }
+
+  const counts = new Map();
+  let redacted = text;
+
+  for (const { type, pattern, keepPrefix } of PATTERNS) {
+    redacted = redacted.replace(pattern, (match) => {
+      counts.set(type, (counts.get(type) || 0) + 1);
+
+      // Keep labels like "patient" so the question still reads naturally
+      const prefix = keepPrefix ? (match.match(keepPrefix) || [''])[0] : '';
+      return `${prefix}[${type}]`;
+    });
+  }
+
+  return {
+    text: redacted,
+    redactions: [...counts].map(([type, count]) => ({ type, count }))
+  };
+}
+
+module.exports = {
+  redactPHI
+};
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redactPHI } = require('./phi-redaction');
+
+// Guideline questions must reach retrieval unchanged
+test('leaves guideline topics after "patient" alone', () => {
+  for (const question of [
+    'Patient Falls prevention policy',
+    'Patient Transfer',
+    'Patient Discharge Planning requirements',
+    'What does Patient Safety Goal 3 require?'
+  ]) {
+    assert.equal(redactPHI(question).text, question);
+  }
+});
+
+test('leaves plain numbers alone', () => {
+  assert.equal(redactPHI('Give 123456789 units of heparin').text, 'Give 123456789 units of heparin');
+});
+
+test('leaves document edition dates alone', () => {
+  for (const question of [
+    'What changed in the 2024-01-01 edition of MMU.04.01?',
+    'Which version is effective 01/07/2023?'
+  ]) {
+    assert.equal(redactPHI(question).text, question);
+  }
+});
+
+test('redacts names after an honorific or a name cue', () => {
+  assert.equal(redactPHI('Mrs. Jane Doe fell').text, '[NAME] fell');
+  assert.equal(redactPHI('patient named John Smith fell').text, 'patient named [NAME] fell');
+  assert.equal(redactPHI('pt: John Smith').text, 'pt: [NAME]');
+  assert.equal(redactPHI('Patient name is Ahmed Ali').text, 'Patient name is [NAME]');
+});
+
+test('redacts phone-shaped and labelled numbers', () => {
+  assert.equal(redactPHI('call 555-123-4567').text, 'call [PHONE]');
+  assert.equal(redactPHI('phone: 5551234567').text, 'phone: [PHONE]');
+  assert.equal(redactPHI('+44 20 7946 0958').text, '[PHONE]');
+  assert.equal(redactPHI('(02) 9876 5432').text, '[PHONE]');
+});
+
+test('redacts other dates and identifiers, with counts', () => {
+  const { text, redactions } = redactPHI('DOB 03/04/1985, admitted 05/06/2024, MRN 00123456');
+  assert.equal(text, '[DOB], admitted [DATE], [MRN]');
+  assert.deepEqual(
+    Object.fromEntries(redactions.map(({ type, count }) => [type, count])),
+    { DOB: 1, DATE: 1, MRN: 1 }
+  );
+});
@@ -0,0 +1,141 @@
+const { getEncoding } = require('js-tiktoken');
+const { formatContext } = require('./citations');
+
+// Prompt size limits, overridable through the environment
+const BUDGET_CONFIG = {
+  // Total input tokens: instructions + question + retrieved chunks + history
+  totalTokens: Number(process.env.PROMPT_TOKEN_BUDGET) || 8000,
+  // Share of what is left after instructions that history may use at most
+  historyShare: Number(process.env.PROMPT_HISTORY_SHARE ?? 0.25),
+  // Length of an older turn once summarized
+  summaryTokens: Number(process.env.PROMPT_SUMMARY_TOKENS) || 80
+};
+
+const encodings = new Map();
+
+// OpenAI's newer models use o200k_base; for everything else (Gemini included)
+// cl100k_base is a close enough estimate
+function encodingName(model = '') {
+  return /^(?:gpt-4o|gpt-4\.1|gpt-5|o\d)/.test(model) ? 'o200k_base' : 'cl100k_base';
+}
+
+function createTokenCounter(model) {
+  const name = encodingName(model);
+  if (!encodings.has(name)) encodings.set(name, getEncoding(name));
+  const encoding = encodings.get(name);
+
+  return {
+    encoding: name,
+    count: (text) => encoding.encode(text).length,
+    truncate: (text, tokens) => encoding.decode(encoding.encode(text).slice(0, tokens))
+  };
+}
+
+// First sentences of an answer without headings, bullets or citation markers
+function summarizeAnswer(answer, tokens, counter) {
+  const plain = answer
+    .replace(/\s*\[\d+\]/g, '')
+    .replace(/^##.*$/gm, '')
+    .replace(/^[•*-]\s*/gm, '')
+    .replace(/\*\*/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  let summary = '';
+  for (const sentence of plain.split(/(?<=[.!?])\s+/)) {
+    const next = summary ? `${summary} ${sentence}` : sentence;
+    if (counter.count(next) > tokens) break;
+    summary = next;
+  }
+  return summary || counter.truncate(plain, tokens);
+}
+
+const formatTurn = (question, answer) => `Q: ${question}\nA: ${answer}`;
+
+// Split the token budget between instructions, ranked sources and history.
+// Sources are taken in rank order and renumbered [1..n] so citations match,
+// keeping their retrieval rank as rank;
+// history keeps the most recent turn in full where possible and summarizes
+// older ones. The report records what was kept, truncated, summarized or dropped.
+async function assemblePrompt({ template, question, sources, recentChats, model }) {
+  const counter = createTokenCounter(model);
+  const instructions = counter.count(await template.format({ context: '', history: '', question }));
+  const available = Math.max(BUDGET_CONFIG.totalTokens - instructions, 0);
+  const historyCap = recentChats.length ? Math.floor(available * BUDGET_CONFIG.historyShare) : 0;
+
+  // Retrieved chunks, best first; later ones may still fit where a bigger one did not
+  let contextBudget = available - historyCap;
+  const kept = [];
+  const chunks = [];
+  for (const source of sources) {
+    const renumbered = { ...source, id: kept.length + 1, rank: source.id };
+    const tokens = counter.count(formatContext([renumbered])) + 2;
+    const chunk = { rank: source.id, document: source.document, pageStart: source.pageStart, pageEnd: source.pageEnd, tokens };
+
+    if (tokens <= contextBudget) {
+      kept.push(renumbered);
+      contextBudget -= tokens;
+      chunks.push({ ...chunk, status: 'kept' });
+    } else if (kept.length === 0 && contextBudget > 50) {
+      // Never lose the best chunk entirely; cut it down to what fits
+      const overhead = tokens - counter.count(source.text);
+      renumbered.text = counter.truncate(source.text, contextBudget - overhead - 2);
+      kept.push(renumbered);
+      chunks.push({ ...chunk, status: 'truncated', tokens: contextBudget });
+      contextBudget = 0;
+    } else {
+      chunks.push({ ...chunk, status: 'dropped' });
+    }
+  }
+
+  // History gets its share plus whatever the context left over, newest first
+  let historyBudget = historyCap + contextBudget;
+  const turns = [];
+  const history = { full: 0, summarized: 0, dropped: 0 };
+  [...recentChats].reverse().forEach((chat, index) => {
+    const full = formatTurn(chat.question, chat.answer);
+    const fullTokens = counter.count(full) + 2;
+    if (index === 0 && fullTokens <= historyBudget) {
+      turns.unshift(full);
+      historyBudget -= fullTokens;
+      history.full++;
+      return;
+    }
+
+    const summary = formatTurn(chat.question, summarizeAnswer(chat.answer, BUDGET_CONFIG.summaryTokens, counter));
+    const summaryTokens = counter.count(summary) + 2;
+    if (summaryTokens <= historyBudget) {
+      turns.unshift(summary);
+      historyBudget -= summaryTokens;
+      history.summarized++;
+    } else {
+      history.dropped++;
+    }
+  });
+
+  const historyText = turns.join('\n\n');
+  const contextText = formatContext(kept);
+  const contextTokens = kept.length ? counter.count(contextText) : 0;
+  const historyTokens = turns.length ? counter.count(historyText) : 0;
+
+  return {
+    sources: kept,
+    context: contextText,
+    history: historyText,
+    report: {
+      model,
+      encoding: counter.encoding,
+      limit: BUDGET_CONFIG.totalTokens,
+      used: instructions + contextTokens + historyTokens,
+      instructions,
+      context: { tokens: contextTokens, chunks },
+      history: { tokens: historyTokens, ...history }
+    }
+  };
+}
+
+module.exports = {
+  BUDGET_CONFIG,
+  createTokenCounter,
+  assemblePrompt
+};
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { ChatGoogleGenerativeAI, GoogleGenerativeAIEmbeddings } = require('@langchain/google-genai');
+const { ChatOpenAI, OpenAIEmbeddings } = require('@langchain/openai');
+const { SimpleChatModel } = require('@langchain/core/language_models/chat_models');
+const { Embeddings } = require('@langchain/core/embeddings');
+const { AIMessageChunk } = require('@langchain/core/messages');
+const { ChatGenerationChunk } = require('@langchain/core/outputs');
+
+// Chat model and embeddings are chosen independently:
+//   LLM_PROVIDER / EMBEDDINGS_PROVIDER = google | openai | fake
+//   LLM_MODEL / EMBEDDINGS_MODEL override the provider's default model
+//   OPENAI_BASE_URL points the openai provider at any OpenAI-compatible server
+
+const DEFAULT_MAX_OUTPUT_TOKENS = 1200;
+
+const DEFAULT_CHAT_MODELS = {
+  google: 'gemini-1.5-flash',
+  openai: 'gpt-4o-mini',
+  fake: 'fake'
+};
+
+// Name of the configured chat model, e.g. for choosing a tokenizer
+function chatModelName() {
+  const provider = (process.env.LLM_PROVIDER || 'google').toLowerCase();
+  return process.env.LLM_MODEL || DEFAULT_CHAT_MODELS[provider];
+}
+
+// Create the chat model selected by LLM_PROVIDER
+function createChatModel() {
+  const provider = (process.env.LLM_PROVIDER || 'google').toLowerCase();
+  const maxOutputTokens = Number(process.env.LLM_MAX_OUTPUT_TOKENS) || DEFAULT_MAX_OUTPUT_TOKENS;
+
+  switch (provider) {
+    case 'google':
+      return new ChatGoogleGenerativeAI({
+        model: chatModelName(),
+        temperature: 0.0,
+        apiKey: process.env.GOOGLE_API_KEY,
+        maxOutputTokens,
+      });
+    case 'openai':
+      return new ChatOpenAI({
+        model: chatModelName(),
+        temperature: 0.0,
+        apiKey: process.env.OPENAI_API_KEY || 'not-needed',
+        maxTokens: maxOutputTokens,
+        configuration: { baseURL: process.env.OPENAI_BASE_URL },
+      });
+    case 'fake':
+      return new FakeChatModel({ template: process.env.FAKE_LLM_RESPONSE });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${provider}`);
+  }
+}
+
+// Create the embeddings model selected by EMBEDDINGS_PROVIDER
+function createEmbeddings() {
+  const provider = (process.env.EMBEDDINGS_PROVIDER || 'google').toLowerCase();
+
+  switch (provider) {
+    case 'google':
+      return new GoogleGenerativeAIEmbeddings({
+        model: process.env.EMBEDDINGS_MODEL || 'text-embedding-004',
+        apiKey: process.env.GOOGLE_API_KEY,
+      });
+    case 'openai':
+      return new OpenAIEmbeddings({
+        model: process.env.EMBEDDINGS_MODEL || 'text-embedding-3-small',
+        apiKey: process.env.OPENAI_API_KEY || 'not-needed',
+        configuration: { baseURL: process.env.OPENAI_BASE_URL },
+      });
+    case 'fake':
+      return new FakeEmbeddings({
+        dimensions: Number(process.env.FAKE_EMBEDDINGS_DIMENSIONS) || 256
+      });
+    default:
+      throw new Error(`Unknown EMBEDDINGS_PROVIDER: ${provider}`);
+  }
+}
+
+// Deterministic embeddings: each word is hashed into a bucket of a fixed-size
+// vector, so texts sharing words are close without calling any API
+class FakeEmbeddings extends Embeddings {
+  constructor({ dimensions = 256 } = {}) {
+    super({});
+    this.dimensions = dimensions;
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(/[a-z0-9.]+/g) || [];
+
+    for (const word of words) {
+      const hash = crypto.createHash('md5').update(word).digest();
+      const bucket = hash.readUInt32BE(0) % this.dimensions;
+      vector[bucket] += hash[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm ? vector.map(value => value / norm) : vector;
+  }
+}
+
+const DEFAULT_FAKE_RESPONSE = `Here is what the hospital guidelines say about {question}.
+
+## Summary
+
+{context}`;
+
+// Deterministic chat model: fills {question} and {context} from the prompt into
+// a template, so the same prompt always produces the same answer
+class FakeChatModel extends SimpleChatModel {
+  constructor({ template } = {}) {
+    super({});
+    this.template = template || DEFAULT_FAKE_RESPONSE;
+  }
+
+  _llmType() {
+    return 'fake';
+  }
+
+  async _call(messages) {
+    const prompt = messages.map(message => message.content).join('\n');
+    return this.render(prompt);
+  }
+
+  // Stream word by word so streaming code paths are exercised too
+  async *_streamResponseChunks(messages, options, runManager) {
+    const text = await this._call(messages);
+    for (const token of text.match(/\S+\s*|\s+/g) || []) {
+      const chunk = new ChatGenerationChunk({
+        message: new AIMessageChunk({ content: token }),
+        text: token,
+      });
+      yield chunk;
+      await runManager?.handleLLMNewToken(token);
+    }
+  }
+
+  render(prompt) {
+    const question = (prompt.match(/^Question:\s*(.*)$/m) || [])[1] || '';
+    const contextMatch = prompt.match(/Context from PDFs:\s*([\s\S]*?)\n(?:Previous conversation|Question):/);
+    const context = contextMatch ? contextMatch[1].trim() : '';
+
+    // First two sentences of the first passage stand in for a real answer,
+    // cited with that passage's [n] label when the context is numbered
+    const label = (context.match(/^\[(\d+)\] \(.*\)$/m) || [])[1];
+    const excerpt = context
+      .split(/\n\n(?=\[\d+\] \()/)[0]
+      .replace(/^\[\d+\] \(.*\)$/m, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .split(/(?<=[.!?])\s+/)
+      .slice(0, 2)
+      .join(' ');
+
+    return this.template
+      .replace(/\{question\}/g, question.trim())
+      .replace(/\{context\}/g, excerpt
+        ? `• ${excerpt}${label ? ` [${label}]` : ''}`
+        : '• No matching guideline text was found.');
+  }
+}
+
+module.exports = {
+  chatModelName,
+  createChatModel,
+  createEmbeddings,
+  FakeChatModel,
+  FakeEmbeddings
+};
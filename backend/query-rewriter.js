@@ -0,0 +1,59 @@
+// auto: rewrite questions that look like follow-ups | always | off
+const REWRITE_MODE = (process.env.QUERY_REWRITE || 'auto').toLowerCase();
+
+const MAX_QUERY_LENGTH = 300;
+
+// "what about for children?", "and the second step?", "is it the same for ICU?"
+const FOLLOW_UP_START = /^(?:and|but|also|or|so|then|what about|how about|what if|same for)\b/i;
+const FOLLOW_UP_WORDS = /\b(?:it|its|they|them|their|this|that|these|those|there|same|above|previous|former|latter|first|second|third|next|last|step|one|ones)\b/i;
+
+// Cheap check so standalone questions skip the extra LLM call
+function looksLikeFollowUp(question) {
+  const text = question.trim();
+  return text.split(/\s+/).length <= 4 ||
+    FOLLOW_UP_START.test(text) ||
+    FOLLOW_UP_WORDS.test(text);
+}
+
+// First line of the model's reply, without labels or quotes
+function cleanQuery(reply) {
+  const line = reply.split('\n').map(text => text.trim()).find(Boolean) || '';
+  const query = line
+    .replace(/^(?:standalone\s+)?(?:search\s+)?(?:query|question)\s*:\s*/i, '')
+    .replace(/^["'`]+|["'`]+$/g, '')
+    .trim();
+  return query.length <= MAX_QUERY_LENGTH ? query : '';
+}
+
+// Rewrite a follow-up into a standalone search query using the session's
+// recent turns (oldest first). Returns the question unchanged when there is
+// no history, it is already standalone, or the rewrite fails.
+async function condenseQuestion(question, recentChats, { llm }) {
+  if (REWRITE_MODE === 'off' || !llm || recentChats.length === 0) return question;
+  if (REWRITE_MODE === 'auto' && !looksLikeFollowUp(question)) return question;
+
+  const history = recentChats
+    .map(chat => `User: ${chat.question}\nAssistant: ${chat.answer.replace(/\[\d+\]/g, '').slice(0, 500)}`)
+    .join('\n\n');
+
+  try {
+    const response = await llm.invoke(`Rewrite the follow-up question as a standalone search query for hospital guidelines, using the conversation to fill in what it refers to (topic, patient group, procedure, standard). Keep the user's wording where possible. If it is already standalone, return it unchanged.
+
+Conversation:
+${history}
+
+Follow-up question: ${question}
+
+Reply with only the standalone query on one line.`);
+
+    return cleanQuery(String(response.content)) || question;
+  } catch (error) {
+    console.error('Query rewrite error:', error.message);
+    return question;
+  }
+}
+
+module.exports = {
+  condenseQuestion,
+  looksLikeFollowUp
+};
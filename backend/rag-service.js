@@ -1,52 +1,68 @@
-const pdf = require('pdf-parse');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
-const { GoogleGenerativeAIEmbeddings } = require('@langchain/google-genai');
-const { PineconeStore } = require('@langchain/pinecone');
-const { Pinecone } = require('@pinecone-database/pinecone');
 const { Document } = require('langchain/document');
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { v4: uuidv4 } = require('uuid');
 const mongoose = require('mongoose');
+const { createVectorStore } = require('./vector-store');
+const { createChatModel, createEmbeddings, chatModelName } = require('./providers');
+const {
+  initializeAnswerCache,
+  isAnswerCacheEnabled,
+  dropUnindexedAnswers,
+  findCachedAnswer,
+  cacheAnswer,
+  invalidateDocument
+} = require('./answer-cache');
+const { createLexicalIndex } = require('./lexical-index');
+const { hybridSearch, RETRIEVAL_CONFIG } = require('./retrieval');
+const { rerankCandidates, RERANK_CONFIG } = require('./reranker');
+const { buildSources, extractCitations, supportingSnippet } = require('./citations');
+const { redactPHI } = require('./phi-redaction');
+const { condenseQuestion } = require('./query-rewriter');
+const { assemblePrompt, createTokenCounter } = require('./prompt-budget');
+const { extractSections } = require('./document-sections');
+const { splitStructured, normalizeStandardId } = require('./structure-splitter');
+const { isSupported, loadDocument, isPaged } = require('./document-loaders');
+const { retrievalDuration, llmDuration, cacheLookups, answers, llmTokens } = require('./metrics');
 
 // Global variables for shared resources
 let llm;
 let embeddings;
-let pinecone;
-let pineconeIndex;
 let vectorStore;
+let lexicalIndex;
 let textSplitter;
 let promptTemplate;
 
+const PDF_DIR = path.join(__dirname, 'pdfs');
+const CHUNK_SIZE = Number(process.env.CHUNK_SIZE) || 1000;
+// structure: along standards, intents and measurable elements where the
+// document has them | recursive: by size only
+const CHUNKING = (process.env.CHUNKING || 'structure').toLowerCase();
+// Chunk metadata set by the structure-aware splitters
+const STRUCTURE_FIELDS = ['chapter', 'chapterTitle', 'standardId', 'section', 'heading', 'sectionNumber'];
+// Every ingested revision's file, so an older edition can be made active again
+const REVISIONS_DIR = path.join(PDF_DIR, 'revisions');
+// Chunks embedded per request while ingesting. A batch that fails is retried
+// up to EMBED_RETRIES times, waiting EMBED_RETRY_DELAY_MS and doubling each time.
+const EMBED_BATCH_SIZE = Number(process.env.EMBED_BATCH_SIZE) || 100;
+const EMBED_RETRIES = Number(process.env.EMBED_RETRIES ?? 3);
+const EMBED_RETRY_DELAY_MS = Number(process.env.EMBED_RETRY_DELAY_MS) || 2000;
+
 // Initialize LLM and other services
 function initializeLLM() {
-  llm = new ChatGoogleGenerativeAI({
-    model: 'gemini-1.5-flash',
-    temperature: 0.0,
-    apiKey: process.env.GOOGLE_API_KEY,
-    maxOutputTokens: 1200,
-  });
-
-  embeddings = new GoogleGenerativeAIEmbeddings({
-    model: 'text-embedding-004',
-    apiKey: process.env.GOOGLE_API_KEY,
-  });
-
-  pinecone = new Pinecone({
-    apiKey: process.env.PINECONE_API_KEY,
-  });
-  
-  pineconeIndex = pinecone.Index(process.env.PINECONE_INDEX_NAME);
+  llm = createChatModel();
+  embeddings = createEmbeddings();
 
   textSplitter = new RecursiveCharacterTextSplitter({
-    chunkSize: 1000,
-    chunkOverlap: 200,
+    chunkSize: CHUNK_SIZE,
+    chunkOverlap: Number(process.env.CHUNK_OVERLAP ?? 200),
     separators: ['\n\n', '\n', '. ', ' ']
   });
 
-   promptTemplate = PromptTemplate.fromTemplate(`
+   promptTemplate = PromptTemplate.fromTemplate(loadPromptOverride() || `
 You are a specialized JCI Hospital Guidelines Assistant. Your role is strictly limited to providing information from uploaded hospital PDF documents.
 
 Context from PDFs: {context}
@@ -58,6 +74,7 @@ CRITICAL INSTRUCTIONS:
 2. If the question is NOT related to hospital/medical topics OR if no relevant context is provided, respond with the "OUT_OF_SCOPE" format below.
 3. Base your answers STRICTLY on the provided PDF context - do not add external knowledge.
 4. If context is provided but insufficient, ask for clarification rather than guessing.
+5. Each context passage starts with a numbered label like [1]. After every statement, cite the passage(s) it comes from using only that number in square brackets, e.g. [1] or [2][3]. Never cite a number that is not in the context and do not mention page numbers yourself.
 
 OUT_OF_SCOPE Response Format:
 ## Outside My Expertise
@@ -80,7 +97,7 @@ ANSWER Response Format (only when context is relevant):
 3. Add double newlines after ## headings
 4. Add single newline after • bullet points
 5. Use **text** for critical terms only
-6. Cite only information from the provided context
+6. Cite only information from the provided context, with [n] markers
 
 Your response:
 
@@ -102,118 +119,721 @@ Your response:
 // `);
 }
 
-// Initialize RAG system
+// Alternative prompt from PROMPT_TEMPLATE_FILE; it must use {context}, {history} and {question}
+function loadPromptOverride() {
+  const file = process.env.PROMPT_TEMPLATE_FILE;
+  return file ? fs.readFileSync(file, 'utf8') : null;
+}
+
+// Initialize RAG system. Returns the documents in the pdfs folder that are new
+// or changed and still need to be ingested; ingestion-jobs.js queues them.
 async function initializeRAG() {
-  try {
-    console.log('Initializing RAG Service...');
-    initializeLLM();
-    await processPDFs();
-    await initializeVectorStore();
-    console.log('RAG Service initialized');
-  } catch (error) {
-    console.error('RAG Service initialization error:', error);
+  console.log('Initializing RAG Service...');
+  initializeLLM();
+  lexicalIndex = createLexicalIndex();
+  await initializeVectorStore();
+  await dropUnindexedAnswers();
+  const pending = await processPDFs();
+  console.log('RAG Service initialized');
+  return pending;
+}
+
+// Initialize against a standalone index without MongoDB, as used by offline
+// evaluation. PDFs missing from the index are chunked and added to it.
+async function initializeStandalone(pdfDir = PDF_DIR) {
+  initializeLLM();
+  lexicalIndex = createLexicalIndex();
+  await initializeVectorStore();
+  if (!vectorStore) {
+    throw new Error('Vector store is not available');
+  }
+
+  const files = fs.readdirSync(pdfDir).filter(isSupported);
+  for (const filename of files) {
+    if (lexicalIndex.hasDocument(filename)) continue;
+
+    console.log(`Indexing: ${filename}...`);
+    const fileBuffer = fs.readFileSync(path.join(pdfDir, filename));
+    const contentHash = hashContent(fileBuffer);
+    const { chunks, chunking } = await splitDocument(await loadDocument(filename, fileBuffer));
+    const langchainDocs = buildChunks(filename, chunks, {
+      fileSize: fileBuffer.length,
+      contentHash
+    });
+    await embedChunks(langchainDocs, chunkIds(filename, contentHash, langchainDocs.length, chunking));
+    console.log(`${filename} indexed: ${langchainDocs.length} chunks`);
   }
 }
 
-// Process PDF files
+// Check the documents in the pdfs folder; returns those that need ingesting
 async function processPDFs() {
-  const pdfDir = path.join(__dirname, 'pdfs');
+  const pdfDir = PDF_DIR;
   if (!fs.existsSync(pdfDir)) {
     fs.mkdirSync(pdfDir);
     console.log(`Created pdfs folder: ${pdfDir}`);
-    return;
+    return [];
   }
 
-  const files = fs.readdirSync(pdfDir).filter(f => f.endsWith('.pdf'));
+  const files = fs.readdirSync(pdfDir).filter(isSupported);
+  await removeMissingDocuments(files);
+
   if (files.length === 0) {
-    console.log('No PDF files found. Add your JCI PDF file to start.');
-    return;
+    console.log('No documents found. Add your JCI PDF file to start.');
+    return [];
   }
 
+  const pending = [];
   for (const filename of files) {
-    await processIfNew(filename, pdfDir);
+    if (await processIfNew(filename, pdfDir)) pending.push(filename);
   }
+  return pending;
 }
 
-// Process individual PDF if new
+// Drop records and vectors for PDFs that are no longer in the pdfs folder
+async function removeMissingDocuments(files) {
+  try {
+    const ProcessedPDF = mongoose.model('ProcessedPDF');
+    const missing = await ProcessedPDF.find({ filename: { $nin: files } });
+    for (const record of missing) {
+      await deleteDocument(record.filename);
+      console.log(`${record.filename} removed from disk - Vectors deleted`);
+    }
+  } catch (error) {
+    console.error('Error removing missing documents:', error.message);
+  }
+}
+
+// Bring an already processed document up to date; returns true when it is new
+// or changed and needs ingesting
 async function processIfNew(filename, pdfDir) {
   const filePath = path.join(pdfDir, filename);
   try {
-    const stats = fs.statSync(filePath);
-    const fileSize = stats.size;
+    const contentHash = hashContent(fs.readFileSync(filePath));
 
     let existing = null;
     try {
       const ProcessedPDF = mongoose.model('ProcessedPDF');
-      existing = await ProcessedPDF.findOne({ filename, fileSize });
+      existing = await ProcessedPDF.findOne({
+        filename,
+        contentHash,
+        status: { $nin: ['processing', 'failed'] }
+      });
     } catch (error) {
       // Model not ready, will process
     }
 
+    // Documents from before a change of chunking are chunked again, unless
+    // they still split the same way (a PDF without standards is split by size
+    // either way). Only documents last split under another setting are parsed
+    // to find out.
+    const chunkingMode = existing?.chunkingMode || existing?.chunking || 'recursive';
+    if (existing && chunkingMode !== CHUNKING) {
+      const { chunking } = await splitDocument(await loadDocument(filename, fs.readFileSync(filePath)));
+      if (chunking !== (existing.chunking || 'recursive')) {
+        console.log(`${filename} was chunked differently - Re-chunking`);
+        existing = null;
+      } else {
+        await mongoose.model('ProcessedPDF').updateOne({ _id: existing._id }, { chunkingMode: CHUNKING });
+      }
+    }
+
     if (existing) {
+      // Documents embedded before keyword search existed still need indexing
+      if (!lexicalIndex.hasDocument(filename) && existing.vectorIds?.length) {
+        const fileBuffer = fs.readFileSync(filePath);
+        const parts = await loadDocument(filename, fileBuffer);
+        const { chunks, chunking } = await splitDocument(parts);
+        const langchainDocs = buildChunks(filename, chunks, {
+          fileSize: fileBuffer.length,
+          contentHash,
+          collections: existing.collections
+        });
+        await lexicalIndex.addDocuments(
+          langchainDocs,
+          chunkIds(filename, contentHash, langchainDocs.length, chunking)
+        );
+        console.log(`${filename} added to keyword index`);
+      }
+
+      // Documents processed before revisions were kept start their history here
+      if (!existing.revisions?.length && existing.vectorIds?.length) {
+        const fileBuffer = fs.readFileSync(filePath);
+        const revision = {
+          _id: new mongoose.Types.ObjectId(),
+          effectiveDate: existing.processedAt,
+          contentHash,
+          fileSize: fileBuffer.length,
+          chunksCount: existing.chunksCount,
+          vectorIds: existing.vectorIds,
+          chunking: existing.chunking || 'recursive',
+          sections: extractSections(await loadDocument(filename, fileBuffer)),
+          processedAt: existing.processedAt
+        };
+        archiveRevision(filename, contentHash, fileBuffer);
+        await mongoose.model('ProcessedPDF').updateOne(
+          { _id: existing._id },
+          { $push: { revisions: revision }, activeRevision: revision._id }
+        );
+        console.log(`${filename} revision history started`);
+      }
+
       console.log(`${filename} already processed - Skipping`);
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.error(`Error processing ${filename}:`, error.message);
+    return false;
+  }
+}
+
+// Embed a PDF into the vector store and record it in ProcessedPDF as the
+// document's new active revision. label and effectiveDate describe the
+// revision, e.g. "8th edition" effective 2024-01-01; onProgress and onRetry
+// are passed on to embedChunks.
+async function ingestPDF(filename, pdfDir = PDF_DIR, { label, effectiveDate, onProgress, onRetry } = {}) {
+  const filePath = path.join(pdfDir, filename);
+  const fileBuffer = fs.readFileSync(filePath);
+  const fileSize = fileBuffer.length;
+  const contentHash = hashContent(fileBuffer);
+  const ProcessedPDF = mongoose.model('ProcessedPDF');
+
+  const previous = await ProcessedPDF.findOneAndUpdate(
+    { filename },
+    { fileSize, status: 'processing', error: null },
+    { upsert: true }
+  );
+
+  // Chunks this run has stored, deleted again if it fails before the record
+  // points at them; retrieval would otherwise mix them with the active revision
+  let storedIds = [];
+  let removed = false;
+
+  try {
+    const parts = await loadDocument(filename, fileBuffer);
+    const { chunks, chunking } = await splitDocument(parts);
+
+    // A revision that was ingested before only needs to become active again,
+    // unless it was chunked differently
+    const known = previous?.revisions?.find(revision => revision.contentHash === contentHash);
+    if (known?.vectorIds?.length && (known.chunking || 'recursive') === chunking) {
+      await activateRevision(filename, known._id);
+      console.log(`${filename}: earlier revision made active again`);
       return;
     }
 
     console.log(`Processing: ${filename}...`);
     
-    const pdfBuffer = fs.readFileSync(filePath);
-    const pdfData = await pdf(pdfBuffer);
-    
-    const docs = await textSplitter.createDocuments([pdfData.text]);
-    
-    const langchainDocs = docs.map((doc, index) => {
-      const estimatedPage = Math.floor((index * 1000) / (pdfData.text.length / pdfData.numpages)) + 1;
-      return new Document({
-        pageContent: doc.pageContent,
-        metadata: {
-          source: filename,
-          chunkIndex: index,
-          pageNumber: Math.min(estimatedPage, pdfData.numpages),
-          fileSize: fileSize
-        }
-      });
+    await initializeVectorStore();
+    if (!vectorStore) {
+      throw new Error('Vector store is not available');
+    }
+
+    // Records from before chunk IDs were stored can only be cleared by source
+    if (previous?.chunksCount && !previous.vectorIds?.length) {
+      await deleteVectors(previous);
+    }
+
+    const langchainDocs = buildChunks(filename, chunks, {
+      fileSize,
+      contentHash,
+      collections: previous?.collections
     });
 
-    vectorStore = await PineconeStore.fromDocuments(
-      langchainDocs,
-      embeddings,
-      { pineconeIndex: pineconeIndex }
-    );
+    const vectorIds = chunkIds(filename, contentHash, langchainDocs.length, chunking);
+    await embedChunks(langchainDocs, vectorIds, {
+      onProgress: (progress) => {
+        storedIds = vectorIds.slice(0, progress.embedded);
+        return onProgress?.(progress);
+      },
+      onRetry
+    });
 
-    try {
-      const ProcessedPDF = mongoose.model('ProcessedPDF');
-      const processedRecord = new ProcessedPDF({
-        filename,
-        fileSize,
-        chunksCount: langchainDocs.length
+    // The same content chunked another way replaces its old chunks
+    const rechunkedIds = [...new Set([
+      ...(known?.vectorIds || []),
+      ...(previous?.contentHash === contentHash ? previous.vectorIds || [] : [])
+    ])].filter(id => !vectorIds.includes(id));
+    if (rechunkedIds.length > 0) {
+      await vectorStore.deleteByIds(rechunkedIds);
+      await lexicalIndex.deleteByIds(rechunkedIds);
+      console.log(`${filename}: ${rechunkedIds.length} chunks from earlier chunking deleted`);
+    }
+
+    // Earlier revisions stay available when chosen, but drop out of default retrieval
+    const retiredIds = (previous?.vectorIds || [])
+      .filter(id => !vectorIds.includes(id) && !rechunkedIds.includes(id));
+    await markSuperseded(retiredIds, true);
+
+    archiveRevision(filename, contentHash, fileBuffer);
+    const revisions = [];
+    // The revision being replaced predates revision history; keep track of its chunks
+    if (previous?.vectorIds?.length && !previous.revisions?.length && previous.contentHash !== contentHash) {
+      revisions.push({
+        effectiveDate: previous.processedAt,
+        contentHash: previous.contentHash,
+        fileSize: previous.fileSize,
+        chunksCount: previous.chunksCount,
+        vectorIds: previous.vectorIds,
+        processedAt: previous.processedAt
       });
-      await processedRecord.save();
-    } catch (error) {
-      // Could not save record, continue
+    }
+    const revision = {
+      _id: known?._id || new mongoose.Types.ObjectId(),
+      label: label ?? known?.label,
+      effectiveDate: effectiveDate || known?.effectiveDate || new Date(),
+      contentHash,
+      fileSize,
+      chunksCount: langchainDocs.length,
+      vectorIds,
+      chunking,
+      sections: extractSections(parts),
+      processedAt: new Date()
+    };
+    revisions.push(revision);
+
+    // A re-chunked revision is replaced in the history rather than added again
+    if (known) {
+      await ProcessedPDF.updateOne({ filename }, { $pull: { revisions: { _id: known._id } } });
     }
 
+    const saved = await ProcessedPDF.findOneAndUpdate(
+      { filename },
+      {
+        fileSize,
+        contentHash,
+        vectorIds,
+        chunksCount: langchainDocs.length,
+        chunking,
+        chunkingMode: CHUNKING,
+        activeRevision: revision._id,
+        $push: { revisions: { $each: revisions } },
+        status: 'ready',
+        processedAt: new Date()
+      }
+    );
+    // Deleted while it was being processed: its chunks go with it
+    if (!saved) {
+      removed = true;
+      throw new Error('Document was deleted while it was being processed');
+    }
+    storedIds = [];
+
+    await invalidateDocument(filename, contentHash);
+
     console.log(`${filename} processed: ${langchainDocs.length} chunks stored`);
   } catch (error) {
-    console.error(`Error processing ${filename}:`, error.message);
+    // Chunks the record already owns (same content, same chunking) stay
+    const ownedIds = new Set(previous && !removed ? allVectorIds(previous) : []);
+    const orphanIds = storedIds.filter(id => !ownedIds.has(id));
+    if (orphanIds.length > 0) {
+      try {
+        await vectorStore.deleteByIds(orphanIds);
+        await lexicalIndex.deleteByIds(orphanIds);
+        console.log(`${filename}: ${orphanIds.length} chunks from the failed run deleted`);
+      } catch (cleanupError) {
+        console.error(`${filename}: could not delete chunks from the failed run:`, cleanupError.message);
+      }
+    }
+
+    await ProcessedPDF.findOneAndUpdate(
+      { filename },
+      { status: 'failed', error: error.message }
+    );
+    throw error;
+  }
+}
+
+// Embed and store chunks in batches, calling onProgress({ embedded, total })
+// after each one. A failed batch (rate limit, timeout) is retried with
+// exponential backoff; onRetry(error) is called before every retry.
+async function embedChunks(docs, ids, { onProgress, onRetry } = {}) {
+  await onProgress?.({ embedded: 0, total: docs.length });
+  for (let start = 0; start < docs.length; start += EMBED_BATCH_SIZE) {
+    const batch = docs.slice(start, start + EMBED_BATCH_SIZE);
+    const batchIds = ids.slice(start, start + EMBED_BATCH_SIZE);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await vectorStore.addDocuments(batch, batchIds);
+        break;
+      } catch (error) {
+        if (attempt >= EMBED_RETRIES) throw error;
+        const delay = EMBED_RETRY_DELAY_MS * 2 ** attempt;
+        console.warn(`Embedding failed (${error.message}) - Retrying in ${delay}ms`);
+        await onRetry?.(error);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    await onProgress?.({ embedded: start + batch.length, total: docs.length });
   }
+  await lexicalIndex.addDocuments(docs, ids);
+}
+
+// Chunk Documents carrying their real pages, revision and collections
+function buildChunks(filename, chunks, { fileSize, contentHash, collections = [] }) {
+  return chunks.map((chunk, index) => new Document({
+    pageContent: chunk.text,
+    metadata: {
+      source: filename,
+      chunkIndex: index,
+      // Documents without pages (Word, HTML, Markdown) are cited by heading instead
+      ...(chunk.pageStart != null && {
+        pageNumber: chunk.pageStart,
+        pageStart: chunk.pageStart,
+        pageEnd: chunk.pageEnd
+      }),
+      fileSize,
+      contentHash: contentHash,
+      collections: [...collections],
+      superseded: false,
+      // Pinecone metadata cannot hold nulls, so only fields the splitter set
+      ...Object.fromEntries(STRUCTURE_FIELDS
+        .filter(field => chunk[field] != null)
+        .map(field => [field, chunk[field]]))
+    }
+  }));
+}
+
+function revisionPath(filename, contentHash) {
+  return path.join(REVISIONS_DIR, filename, `${contentHash.slice(0, 16)}${path.extname(filename)}`);
+}
+
+function archiveRevision(filename, contentHash, fileBuffer) {
+  const file = revisionPath(filename, contentHash);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, fileBuffer);
+}
+
+// Chunk IDs of the active revision and every earlier one
+function allVectorIds(record) {
+  return [...new Set([
+    ...(record.vectorIds || []),
+    ...(record.revisions || []).flatMap(revision => revision.vectorIds || [])
+  ])];
+}
+
+async function markSuperseded(ids, superseded) {
+  if (ids.length === 0) return;
+  await vectorStore?.updateMetadata(ids, { superseded });
+  await lexicalIndex?.updateMetadata(ids, { superseded });
+}
+
+// Make an earlier revision the one retrieval uses by default. Its chunks are
+// still indexed, so nothing is re-embedded; its file goes back into pdfs/.
+async function activateRevision(filename, revisionId) {
+  const ProcessedPDF = mongoose.model('ProcessedPDF');
+  const record = await ProcessedPDF.findOne({ filename });
+  const revision = record?.revisions.id(revisionId);
+  if (!revision) return null;
+
+  const file = revisionPath(filename, revision.contentHash);
+  if (!fs.existsSync(file)) {
+    throw new Error(`The file for this revision of ${filename} is no longer available`);
+  }
+
+  await initializeVectorStore();
+  await markSuperseded((record.vectorIds || []).filter(id => !revision.vectorIds.includes(id)), true);
+  await markSuperseded(revision.vectorIds, false);
+  fs.copyFileSync(file, path.join(PDF_DIR, filename));
+
+  const updated = await ProcessedPDF.findOneAndUpdate(
+    { filename },
+    {
+      fileSize: revision.fileSize,
+      contentHash: revision.contentHash,
+      vectorIds: revision.vectorIds,
+      chunksCount: revision.chunksCount,
+      chunking: revision.chunking,
+      // Checked again at the next startup
+      $unset: { chunkingMode: 1 },
+      activeRevision: revision._id,
+      status: 'ready',
+      error: null
+    },
+    { new: true }
+  );
+
+  await invalidateDocument(filename, revision.contentHash);
+  return updated;
+}
+
+// Remove an earlier revision's chunks and file; the active one cannot be deleted
+async function deleteRevision(filename, revisionId) {
+  const ProcessedPDF = mongoose.model('ProcessedPDF');
+  const record = await ProcessedPDF.findOne({ filename });
+  const revision = record?.revisions.id(revisionId);
+  if (!revision) return null;
+  if (revision._id.equals(record.activeRevision)) {
+    throw new Error('The active revision cannot be deleted');
+  }
+
+  await initializeVectorStore();
+  const ids = revision.vectorIds.filter(id => !(record.vectorIds || []).includes(id));
+  if (ids.length > 0) {
+    await vectorStore?.deleteByIds(ids);
+    await lexicalIndex?.deleteByIds(ids);
+  }
+  fs.rmSync(revisionPath(filename, revision.contentHash), { force: true });
+
+  return ProcessedPDF.findOneAndUpdate(
+    { filename },
+    { $pull: { revisions: { _id: revision._id } } },
+    { new: true }
+  );
+}
+
+// Move a document into the given collections, retagging its chunks in place
+async function setDocumentCollections(filename, collections) {
+  const ProcessedPDF = mongoose.model('ProcessedPDF');
+  const record = await ProcessedPDF.findOneAndUpdate(
+    { filename },
+    { collections },
+    { new: true }
+  );
+  if (!record) return null;
+
+  if (record.vectorIds?.length) {
+    await initializeVectorStore();
+    const ids = allVectorIds(record);
+    await vectorStore?.updateMetadata(ids, { collections });
+    await lexicalIndex?.updateMetadata(ids, { collections });
+  } else if (record.chunksCount) {
+    console.warn(`${filename} predates chunk IDs; replace it to apply collections to its chunks`);
+  }
+
+  // Scoped answers that used this document may no longer belong to their scope
+  await invalidateDocument(filename);
+  return record;
+}
+
+// Remove a document's vectors, archived revisions and its ProcessedPDF record
+async function deleteDocument(filename) {
+  const ProcessedPDF = mongoose.model('ProcessedPDF');
+  const record = await ProcessedPDF.findOne({ filename });
+  if (!record) return;
+
+  await initializeVectorStore();
+  await deleteVectors(record);
+  fs.rmSync(path.join(REVISIONS_DIR, filename), { recursive: true, force: true });
+  await invalidateDocument(filename);
+  await ProcessedPDF.deleteOne({ _id: record._id });
+}
+
+// Delete the vectors and keyword entries belonging to a ProcessedPDF record
+async function deleteVectors(record) {
+  await lexicalIndex?.deleteByDocument(record.filename);
+  if (!vectorStore) return;
+
+  if (record.vectorIds?.length) {
+    await vectorStore.deleteByIds(allVectorIds(record));
+    return;
+  }
+
+  try {
+    await vectorStore.deleteByDocument(record.filename);
+  } catch (error) {
+    console.warn(`Could not delete old vectors for ${record.filename}:`, error.message);
+  }
+}
+
+// SHA-256 of the file contents, used to detect edited documents
+function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Stable vector IDs derived from the document, its revision and how it was
+// chunked. Size-based chunks keep the original form so existing IDs stay valid.
+function chunkIds(filename, contentHash, count, chunking = 'recursive') {
+  const documentKey = crypto
+    .createHash('sha256')
+    .update(chunking === 'recursive' ? `${filename}:${contentHash}` : `${filename}:${contentHash}:${chunking}`)
+    .digest('hex')
+    .slice(0, 24);
+  return Array.from({ length: count }, (_, index) => `${documentKey}-${index}`);
+}
+
+// The clients health checks look at; unset until initialized
+function serviceClients() {
+  return { llm, embeddings, vectorStore };
+}
+
+// Chunk along the document's standards where it has them, along its headings
+// when it was loaded as sections, otherwise by size. chunking is how it was
+// actually split ('structure' | 'recursive'), which is what gets recorded and
+// goes into the chunk IDs.
+async function splitDocument(parts) {
+  if (!isPaged(parts)) return { chunks: await splitSections(parts), chunking: 'structure' };
+  if (CHUNKING === 'structure') {
+    const chunks = splitStructured(parts, { chunkSize: CHUNK_SIZE });
+    if (chunks) return { chunks, chunking: 'structure' };
+  }
+  return { chunks: await splitPages(parts), chunking: 'recursive' };
+}
+
+// Split every section by size on its own, so no chunk runs across headings,
+// and start each chunk with its section's heading path
+async function splitSections(sections) {
+  const chunks = [];
+  for (const section of sections) {
+    for (const text of await textSplitter.splitText(section.text)) {
+      chunks.push({
+        text: section.heading ? `${section.heading}\n${text}` : text,
+        heading: section.heading,
+        sectionNumber: section.sectionNumber
+      });
+    }
+  }
+  return chunks;
+}
+
+// Split the joined page texts and map each chunk back to the pages it spans
+async function splitPages(pages) {
+  const pageOffsets = [];
+  let fullText = '';
+  for (const page of pages) {
+    if (fullText) fullText += '\n\n';
+    pageOffsets.push({ pageNumber: page.pageNumber, start: fullText.length });
+    fullText += page.text;
+  }
+
+  const pageAt = (offset) => {
+    let pageNumber = pageOffsets.length ? pageOffsets[0].pageNumber : 1;
+    for (const page of pageOffsets) {
+      if (page.start > offset) break;
+      pageNumber = page.pageNumber;
+    }
+    return pageNumber;
+  };
+
+  const chunks = [];
+  let lastIndex = -1;
+  for (const text of await textSplitter.splitText(fullText)) {
+    // Chunks overlap, so search from just after the previous chunk's start
+    let index = fullText.indexOf(text, lastIndex + 1);
+    if (index === -1) index = Math.max(lastIndex, 0);
+    lastIndex = index;
+
+    chunks.push({
+      text,
+      pageStart: pageAt(index),
+      pageEnd: pageAt(index + text.length - 1)
+    });
+  }
+
+  return chunks;
 }
 
 // Initialize vector store connection
 async function initializeVectorStore() {
   if (!vectorStore) {
     try {
-      vectorStore = await PineconeStore.fromExistingIndex(
-        embeddings,
-        { pineconeIndex: pineconeIndex }
-      );
-      console.log('Vector store connected');
+      vectorStore = await createVectorStore(embeddings);
+      console.log(`Vector store connected: ${vectorStore.name}`);
+      await initializeAnswerCache(embeddings);
     } catch (error) {
-      console.log('No existing vectors found. Upload PDFs first.');
+      console.error('Vector store connection error:', error.message);
     }
   }
 }
 
+// All pages a chunk covers, falling back to pageNumber for older vectors
+function pageRange(metadata) {
+  const start = metadata.pageStart || metadata.pageNumber;
+  const end = metadata.pageEnd || start;
+  if (!start) return [];
+
+  const pages = [];
+  for (let page = start; page <= end; page++) {
+    pages.push(page);
+  }
+  return pages;
+}
+
+// Full text of a standard put back together from its chunks, without a
+// similarity search. A shorter ID covers the standards under it: "IPSG.2"
+// returns IPSG.02.00 and IPSG.02.01. Reads the active revisions, or the
+// given revision ({ filename, contentHash }) of its document.
+function lookupStandard(id, { revision } = {}) {
+  const key = normalizeStandardId(id);
+  const filter = revision
+    ? { source: revision.filename, contentHash: revision.contentHash }
+    : { superseded: { $ne: true } };
+
+  const standards = new Map();
+  for (const chunk of lexicalIndex?.find(filter) || []) {
+    const { source, standardId, heading } = chunk.metadata;
+    if (!standardId || (standardId !== key && !standardId.startsWith(`${key}.`))) continue;
+
+    const groupKey = `${source}:${standardId}`;
+    if (!standards.has(groupKey)) {
+      standards.set(groupKey, { standardId, document: source, metadata: chunk.metadata, chunks: [] });
+    }
+    // Every chunk repeats its heading; keep only the text it adds
+    const text = heading && chunk.pageContent.startsWith(`${heading}\n`)
+      ? chunk.pageContent.slice(heading.length + 1)
+      : chunk.pageContent;
+    standards.get(groupKey).chunks.push({ ...chunk.metadata, text });
+  }
+
+  return [...standards.values()]
+    .sort((a, b) => a.document.localeCompare(b.document) || a.standardId.localeCompare(b.standardId))
+    .map(({ standardId, document, metadata, chunks }) => {
+      const statement = metadata.heading
+        ? metadata.heading.split('\n')[0].slice(standardId.length).trim()
+        : chunks[0].text.split('\n').slice(1).join(' ');
+      const body = chunks.map(chunk => chunk.text).join('\n');
+      return {
+        standardId,
+        document,
+        chapter: metadata.chapter,
+        chapterTitle: metadata.chapterTitle,
+        statement,
+        pageStart: Math.min(...chunks.map(chunk => chunk.pageStart)),
+        pageEnd: Math.max(...chunks.map(chunk => chunk.pageEnd)),
+        text: chunks[0].section === 'standard' ? body : `Standard ${standardId}\n${statement}\n${body}`
+      };
+    });
+}
+
+// Active revisions only, unless revisions ({ filename, contentHash }) were
+// chosen for their documents; optionally limited to chunks tagged with one of
+// the chosen collections
+function retrievalFilter(collections, revisions) {
+  const filters = [];
+  if (collections.length) {
+    filters.push({ collections: { $in: collections } });
+  }
+
+  // Chunks from before revision history carry no superseded flag and count as active
+  const active = { superseded: { $ne: true } };
+  if (revisions.length) {
+    filters.push({
+      $or: [
+        ...revisions.map(({ filename, contentHash }) => ({ source: filename, contentHash })),
+        { ...active, source: { $nin: revisions.map(revision => revision.filename) } }
+      ]
+    });
+  } else {
+    filters.push(active);
+  }
+
+  return filters.length === 1 ? filters[0] : { $and: filters };
+}
+
+// Note when the prompt budget forced chunks or history turns out
+function logPromptBudget(report) {
+  const cut = report.context.chunks.filter(chunk => chunk.status !== 'kept');
+  const { summarized, dropped } = report.history;
+  if (cut.length === 0 && summarized === 0 && dropped === 0) return;
+
+  console.log(`Prompt budget: ${report.used}/${report.limit} tokens; ` +
+    `chunks ${cut.map(chunk => `#${chunk.rank} ${chunk.status}`).join(', ') || 'all kept'}; ` +
+    `history ${report.history.full} full, ${summarized} summarized, ${dropped} dropped`);
+}
+
 // Format AI response text
 function formatResponse(rawResponse) {
   let formatted = rawResponse;
@@ -245,79 +865,154 @@ function isErrorResponse(answer) {
   );
 }
 
-// Main function to get answer
-async function getAnswer(question, sessionId) {
+// Main function to get answer. Pass onSources/onToken to stream the answer
+// as it is generated; the returned result is the same either way.
+// With persist: false the answer cache, history and chat log are bypassed
+// (used by offline evaluation); onRetrieved receives the ranked chunks.
+async function getAnswer(question, sessionId, options = {}) {
+  // Patient identifiers never reach retrieval, the LLM or the database
+  const { text, redactions } = redactPHI(question);
+  const result = await answerQuestion(text, sessionId, { ...options, redactions });
+  return { ...result, question: text, redactions };
+}
+
+async function answerQuestion(question, sessionId, { userId, redactions, collections = [], revisions = [], persist = true, onRetrieved, onSources, onToken } = {}) {
   const messageId = uuidv4();
   try {
     let Chat = null;
     try {
       Chat = mongoose.model('Chat');
     } catch (error) {
-      return {
+      if (persist) return {
         messageId,
         answer: "## System Error\n\nSystem is initializing. Please wait a moment and try again.",
-        pageNumbers: []
-      };
-    }
-
-    // Check for consistency - Only look for successful responses
-    const exactMatch = await Chat.findOne({
-      question: question.trim().toLowerCase(),
-      success: true  // Only successful responses for consistency
-    });
-
-    if (exactMatch) {
-      const newChat = new Chat({
-        sessionId,
-        messageId,
-        question: question.trim(),
-        answer: exactMatch.answer,
-        pageNumbers: exactMatch.pageNumbers,
-        success: true
-      });
-      await newChat.save();
-      
-      return {
-        messageId,
-        answer: exactMatch.answer,
-        pageNumbers: exactMatch.pageNumbers,
-        consistent: true
+        pageNumbers: [],
+        answered: false
       };
     }
 
     // Get conversation history - Only successful responses
-    const recentChats = await Chat.find({ 
+    const recentChats = !persist ? [] : await Chat.find({ 
+      userId,
       sessionId,
       success: true  // Only successful responses for context
     })
       .sort({ timestamp: -1 })
       .limit(3);
+    recentChats.reverse(); // Oldest first
+
+    // Follow-ups like "what about for children?" are searched as standalone queries
+    const searchQuery = (await condenseQuestion(question.trim(), recentChats, { llm })).trim();
+
+    // Reuse an answer to a semantically equivalent question, if still valid.
+    // Cached answers come from the active revisions, so chosen ones skip the cache.
+    // The question is only embedded here when the cache is consulted; retrieval
+    // reuses the vector.
+    const useCache = persist && revisions.length === 0 && isAnswerCacheEnabled();
+    let questionEmbedding = null;
+    try {
+      if (useCache) {
+        questionEmbedding = await embeddings.embedQuery(searchQuery);
+      }
+      const cached = questionEmbedding && await findCachedAnswer(questionEmbedding, collections);
+      if (questionEmbedding) cacheLookups.inc({ result: cached ? 'hit' : 'miss' });
+
+      if (cached) {
+        const { entry } = cached;
+        const newChat = new Chat({
+          userId,
+          sessionId,
+          redactions,
+          messageId,
+          question: question.trim(),
+          searchQuery,
+          collections,
+          revisions,
+          answer: entry.answer,
+          pageNumbers: entry.pageNumbers,
+          sources: entry.sources,
+          success: true
+        });
+        await newChat.save();
 
-    const conversationHistory = recentChats
-      .reverse()
-      .map(chat => `Q: ${chat.question}\nA: ${chat.answer}`)
-      .join('\n\n');
+        // Streamed like a generated answer: sources first, then the text
+        onSources?.(entry.sources);
+        onToken?.(entry.answer);
 
-    // Vector search
-    let context = '';
+        answers.inc({ outcome: 'answered' });
+        return {
+          messageId,
+          answer: entry.answer,
+          pageNumbers: entry.pageNumbers,
+          sources: entry.sources,
+          searchQuery,
+          consistent: true,
+          answered: true
+        };
+      }
+    } catch (cacheError) {
+      console.error('Answer cache error:', cacheError.message);
+    }
+
+    // Hybrid keyword + vector search
     let pageNumbers = [];
-    if (vectorStore) {
+    let sources = [];
+    let documents = [];
+    const endRetrieval = retrievalDuration.startTimer();
+    if (vectorStore || lexicalIndex) {
       try {
-        const searchResults = await vectorStore.similaritySearch(question, 5);
-        context = searchResults
-          .map(result => result.pageContent)
-          .join('\n\n');
-        pageNumbers = searchResults
-          .map(result => result.metadata.pageNumber)
-          .filter(page => page && page > 0);
-        pageNumbers = [...new Set(pageNumbers)].sort((a, b) => a - b);
+        // Over-fetch, then dedupe and re-rank down to the final top-k. Each
+        // search fetches enough to fill the candidate list on its own.
+        const candidates = await hybridSearch(searchQuery, {
+          vectorStore,
+          lexicalIndex,
+          filter: retrievalFilter(collections, revisions),
+          queryVector: questionEmbedding,
+          config: {
+            topK: RERANK_CONFIG.candidates,
+            vectorK: Math.max(RETRIEVAL_CONFIG.vectorK, RERANK_CONFIG.candidates),
+            lexicalK: Math.max(RETRIEVAL_CONFIG.lexicalK, RERANK_CONFIG.candidates)
+          }
+        });
+        const searchResults = (await rerankCandidates(searchQuery, candidates, {
+          llm,
+          topK: RETRIEVAL_CONFIG.topK
+        })).map(result => result.document);
+        onRetrieved?.(searchResults);
+        sources = buildSources(searchResults);
+        documents = [...new Map(searchResults.map(result => [
+          result.metadata.source,
+          { filename: result.metadata.source, contentHash: result.metadata.contentHash }
+        ])).values()];
       } catch (searchError) {
-        console.error('Vector search error:', searchError.message);
+        console.error('Search error:', searchError.message);
       }
     }
+    endRetrieval();
+
+    // Fit instructions, ranked chunks and history into the prompt token budget
+    const prompt = await assemblePrompt({
+      template: promptTemplate,
+      question,
+      sources,
+      recentChats,
+      model: chatModelName()
+    });
+    const { context, history: conversationHistory, report: promptBudget } = prompt;
+    sources = prompt.sources;
+    logPromptBudget(promptBudget);
+
+    pageNumbers = [...new Set(sources.flatMap(source => pageRange(source)))]
+      .filter(page => page > 0)
+      .sort((a, b) => a - b);
+
+    // Until the answer says what each source supports, excerpt what matches the question
+    onSources?.(sources.map(({ text, ...source }) => ({ ...source, snippet: supportingSnippet(text, question) })));
 
     let answer;
+    let citedSources = [];
     let isSuccess = true;
+    let generationFailed = false;
 
     if (!context) {
       answer = `## Information Not Available
@@ -339,15 +1034,42 @@ I don't have relevant information in the hospital guidelines to answer this ques
           question
         });
 
-        const response = await llm.invoke(promptText);
-        answer = formatResponse(response.content);
+        const model = chatModelName();
+        const endGeneration = llmDuration.startTimer({ model });
+        let rawAnswer = '';
+        if (onToken) {
+          for await (const chunk of await llm.stream(promptText)) {
+            if (typeof chunk.content !== 'string' || !chunk.content) continue;
+            rawAnswer += chunk.content;
+            onToken(chunk.content);
+          }
+        } else {
+          const response = await llm.invoke(promptText);
+          rawAnswer = response.content;
+        }
+        endGeneration();
+
+        const counter = createTokenCounter(model);
+        llmTokens.inc({ model, type: 'prompt' }, counter.count(promptText));
+        llmTokens.inc({ model, type: 'completion' }, counter.count(rawAnswer));
+        answer = formatResponse(rawAnswer);
 
-        // Clean page references
+        // Page references come from the cited sources, not the model's text
         answer = answer
           .replace(/\(Page\s+\d+[^)]*\)/gi, '')
-          .replace(/Page\s+\d+[^.]*\.?/gi, '')
           .trim();
 
+        const cited = extractCitations(answer, sources);
+        answer = cited.answer;
+        citedSources = cited.sources;
+
+        // Pages of the passages the answer actually relies on
+        if (citedSources.length > 0) {
+          pageNumbers = [...new Set(citedSources.flatMap(source =>
+            pageRange({ pageStart: source.pageStart, pageEnd: source.pageEnd })
+          ))].sort((a, b) => a - b);
+        }
+
         // Check if this is an error response from AI
         if (isErrorResponse(answer)) {
           isSuccess = false;
@@ -365,28 +1087,59 @@ I apologize, but I encountered an error while processing your question.
 • Checking if the system is properly initialized`;
 
         isSuccess = false; // This is an error response
+        generationFailed = true;
       }
     }
 
     // Save to database with success flag
-    const chat = new Chat({
-      sessionId,
-      messageId,
-      question: question.trim().toLowerCase(),
-      answer,
-      pageNumbers,
-      success: isSuccess  // Important: Mark whether this was successful
-    });
-    await chat.save();
+    if (persist) {
+      const chat = new Chat({
+        userId,
+        sessionId,
+        redactions,
+        messageId,
+        question: question.trim(),
+        searchQuery,
+        collections,
+        revisions,
+        answer,
+        pageNumbers,
+        sources: citedSources,
+        promptBudget,
+        success: isSuccess  // Important: Mark whether this was successful
+      });
+      await chat.save();
+    }
+
+    if (useCache && isSuccess && questionEmbedding) {
+      try {
+        await cacheAnswer({
+          question: searchQuery,
+          questionEmbedding,
+          answer,
+          pageNumbers,
+          sources: citedSources,
+          documents,
+          collections
+        });
+      } catch (cacheError) {
+        console.error('Answer cache error:', cacheError.message);
+      }
+    }
 
+    answers.inc({ outcome: generationFailed ? 'error' : isSuccess ? 'answered' : 'unanswered' });
     return {
       messageId,
       answer,
-      pageNumbers
+      pageNumbers,
+      sources: citedSources,
+      searchQuery,
+      answered: isSuccess
     };
 
   } catch (error) {
     console.error('Error in getAnswer:', error);
+    answers.inc({ outcome: 'error' });
     const errorAnswer = `## System Error
 
 I apologize, but I encountered an error while processing your question.
@@ -397,30 +1150,43 @@ I apologize, but I encountered an error while processing your question.
 • Checking if the system is properly initialized`;
 
     // Even save errors to database but mark as unsuccessful
-    try {
-      const Chat = mongoose.model('Chat');
-      const errorChat = new Chat({
-        sessionId,
-        messageId,
-        question: question.trim().toLowerCase(),
-        answer: errorAnswer,
-        pageNumbers: [],
-        success: false  // Mark as unsuccessful
-      });
-      await errorChat.save();
-    } catch (saveError) {
-      // Ignore save errors for error responses
+    if (persist) {
+      try {
+        const Chat = mongoose.model('Chat');
+        const errorChat = new Chat({
+          userId,
+          sessionId,
+          redactions,
+          messageId,
+          question: question.trim(),
+          answer: errorAnswer,
+          pageNumbers: [],
+          success: false  // Mark as unsuccessful
+        });
+        await errorChat.save();
+      } catch (saveError) {
+        // Ignore save errors for error responses
+      }
     }
 
-    return { messageId, answer: errorAnswer, pageNumbers: [] };
+    return { messageId, answer: errorAnswer, pageNumbers: [], answered: false };
   }
 }
 
 // Export all functions
 module.exports = {
   initializeRAG,
+  serviceClients,
+  initializeStandalone,
   getAnswer,
   processPDFs,
+  ingestPDF,
+  activateRevision,
+  deleteRevision,
+  setDocumentCollections,
+  lookupStandard,
+  deleteDocument,
   initializeVectorStore,
-  formatResponse
+  formatResponse,
+  PDF_DIR
 };
\ No newline at end of file
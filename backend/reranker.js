@@ -0,0 +1,171 @@
+const { tokenize } = require('./lexical-index');
+
+// Post-retrieval settings, overridable through the environment
+const RERANK_CONFIG = {
+  // How many fused candidates to fetch before re-ranking
+  candidates: Number(process.env.RERANK_CANDIDATES) || 20,
+  // Candidates at least this similar to a better one are treated as duplicates
+  dedupThreshold: Number(process.env.RERANK_DEDUP_THRESHOLD) || 0.6,
+  // MMR trade-off: 1 = relevance only, 0 = diversity only
+  mmrLambda: Number(process.env.RERANK_MMR_LAMBDA ?? 0.7),
+  // none | llm | cross-encoder
+  scorer: (process.env.RERANKER || 'none').toLowerCase(),
+  crossEncoderUrl: process.env.RERANKER_URL
+};
+
+// Word-set Jaccard similarity, cheap enough to compare every pair of chunks
+function textSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Scale scores to 0..1 so fusion, cross-encoder and LLM scores are comparable
+function normalize(scores) {
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  return scores.map(score => (max > min ? (score - min) / (max - min) : 1));
+}
+
+// Score candidates with a cross-encoder served over HTTP (TEI /rerank format)
+async function crossEncoderScores(query, candidates) {
+  const response = await fetch(`${RERANK_CONFIG.crossEncoderUrl}/rerank`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      query,
+      texts: candidates.map(candidate => candidate.document.pageContent)
+    })
+  });
+  if (!response.ok) {
+    throw new Error(`Cross-encoder returned ${response.status}`);
+  }
+
+  const scores = new Array(candidates.length).fill(0);
+  for (const { index, score } of await response.json()) {
+    scores[index] = score;
+  }
+  return scores;
+}
+
+// Ask the chat model to rate each candidate's relevance from 0 to 10
+async function llmScores(query, candidates, llm) {
+  const passages = candidates
+    .map((candidate, index) => `[${index}] ${candidate.document.pageContent.slice(0, 600)}`)
+    .join('\n\n');
+
+  const response = await llm.invoke(`Rate how useful each passage is for answering the question, from 0 (irrelevant) to 10 (directly answers it).
+
+Question: ${query}
+
+Passages:
+${passages}
+
+Reply with only a JSON array of ${candidates.length} numbers, in passage order.`);
+
+  const match = String(response.content).match(/\[[\s\S]*?\]/);
+  const scores = match ? JSON.parse(match[0]) : [];
+  if (scores.length !== candidates.length) {
+    throw new Error('LLM scorer returned an unexpected number of scores');
+  }
+  return scores.map(Number);
+}
+
+// Relevance per candidate from the configured scorer, falling back to the
+// fused retrieval score when no scorer is set or it fails
+async function relevanceScores(query, candidates, llm) {
+  try {
+    if (RERANK_CONFIG.scorer === 'cross-encoder' && RERANK_CONFIG.crossEncoderUrl) {
+      return normalize(await crossEncoderScores(query, candidates));
+    }
+    if (RERANK_CONFIG.scorer === 'llm' && llm) {
+      return normalize(await llmScores(query, candidates, llm));
+    }
+  } catch (error) {
+    console.error(`Re-ranker (${RERANK_CONFIG.scorer}) error:`, error.message);
+  }
+  return normalize(candidates.map(candidate => candidate.score));
+}
+
+// Drop near-duplicate chunks, re-score the rest and pick a diverse top-k
+// with maximal marginal relevance. Each result carries the scores behind it.
+async function rerankCandidates(query, candidates, { llm, topK }) {
+  if (candidates.length === 0) return [];
+
+  const scored = candidates.map(candidate => ({
+    ...candidate,
+    words: new Set(tokenize(candidate.document.pageContent))
+  }));
+
+  // Overlapping chunks: keep the better-ranked copy
+  const unique = [];
+  for (const candidate of scored) {
+    const duplicateOf = unique.find(kept =>
+      textSimilarity(kept.words, candidate.words) >= RERANK_CONFIG.dedupThreshold
+    );
+    if (duplicateOf) {
+      logCandidate('dropped', candidate, `duplicate of ${describe(duplicateOf)}`);
+    } else {
+      unique.push(candidate);
+    }
+  }
+
+  const relevance = await relevanceScores(query, unique, llm);
+  unique.forEach((candidate, index) => {
+    candidate.relevance = relevance[index];
+  });
+
+  // Maximal marginal relevance over the remaining candidates
+  const selected = [];
+  const remaining = [...unique];
+  while (selected.length < topK && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((candidate, index) => {
+      const redundancy = Math.max(0, ...selected.map(picked =>
+        textSimilarity(picked.words, candidate.words)
+      ));
+      const mmr = RERANK_CONFIG.mmrLambda * candidate.relevance -
+        (1 - RERANK_CONFIG.mmrLambda) * redundancy;
+      candidate.redundancy = redundancy;
+      candidate.mmr = mmr;
+
+      if (mmr > bestScore) {
+        bestScore = mmr;
+        bestIndex = index;
+      }
+    });
+
+    selected.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  selected.forEach(candidate => logCandidate('picked', candidate));
+  remaining.forEach(candidate => logCandidate('dropped', candidate, 'lower MMR score'));
+
+  return selected.map(({ words, ...candidate }) => candidate);
+}
+
+function describe(candidate) {
+  const { source, chunkIndex } = candidate.document.metadata;
+  return `${source}#${chunkIndex}`;
+}
+
+function logCandidate(outcome, candidate, reason = '') {
+  const scores = [
+    `fused=${candidate.score.toFixed(4)}`,
+    `ranks=${JSON.stringify(candidate.ranks)}`,
+    candidate.relevance !== undefined && `relevance=${candidate.relevance.toFixed(3)}`,
+    candidate.mmr !== undefined && `mmr=${candidate.mmr.toFixed(3)}`
+  ].filter(Boolean).join(' ');
+
+  console.log(`Rerank ${outcome}: ${describe(candidate)} ${scores}${reason ? ` (${reason})` : ''}`);
+}
+
+module.exports = {
+  RERANK_CONFIG,
+  rerankCandidates
+};
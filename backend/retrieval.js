@@ -0,0 +1,73 @@
+// Retrieval settings, overridable through the environment
+const RETRIEVAL_CONFIG = {
+  topK: Number(process.env.RETRIEVAL_TOP_K) || 5,
+  vectorK: Number(process.env.RETRIEVAL_VECTOR_K) || 10,
+  lexicalK: Number(process.env.RETRIEVAL_LEXICAL_K) || 10,
+  vectorWeight: Number(process.env.RETRIEVAL_VECTOR_WEIGHT ?? 1),
+  lexicalWeight: Number(process.env.RETRIEVAL_LEXICAL_WEIGHT ?? 1),
+  rrfK: Number(process.env.RETRIEVAL_RRF_K) || 60
+};
+
+// Identifies a chunk across the vector store and the lexical index
+function chunkKey(doc) {
+  const { source, contentHash, chunkIndex } = doc.metadata;
+  return `${source}#${contentHash || ''}#${chunkIndex}`;
+}
+
+// Weighted reciprocal rank fusion: each list contributes weight / (rrfK + rank)
+function fuseResults(lists, rrfK) {
+  const fused = new Map();
+
+  for (const { name, results, weight } of lists) {
+    if (!weight) continue;
+
+    results.forEach(([doc, score], index) => {
+      const key = chunkKey(doc);
+      const entry = fused.get(key) || { document: doc, score: 0, ranks: {}, scores: {} };
+      entry.score += weight / (rrfK + index + 1);
+      entry.ranks[name] = index + 1;
+      entry.scores[name] = score;
+      fused.set(key, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+// Run vector and keyword search side by side and fuse their rankings.
+// Either source may be missing or fail; the other still returns results.
+// queryVector, when the query was embedded already, saves embedding it again.
+async function hybridSearch(query, { vectorStore, lexicalIndex, filter, queryVector, config = {} }) {
+  const settings = { ...RETRIEVAL_CONFIG, ...config };
+
+  const [vectorResults, lexicalResults] = await Promise.all([
+    vectorStore && settings.vectorWeight
+      ? (queryVector
+        ? vectorStore.similaritySearchVectorWithScore(queryVector, settings.vectorK, filter)
+        : vectorStore.similaritySearchWithScore(query, settings.vectorK, filter))
+        .catch(error => {
+          console.error('Vector search error:', error.message);
+          return [];
+        })
+      : [],
+    lexicalIndex && settings.lexicalWeight
+      ? lexicalIndex.search(query, settings.lexicalK, filter)
+        .catch(error => {
+          console.error('Keyword search error:', error.message);
+          return [];
+        })
+      : []
+  ]);
+
+  return fuseResults([
+    { name: 'vector', results: vectorResults, weight: settings.vectorWeight },
+    { name: 'lexical', results: lexicalResults, weight: settings.lexicalWeight }
+  ], settings.rrfK).slice(0, settings.topK);
+}
+
+module.exports = {
+  RETRIEVAL_CONFIG,
+  hybridSearch,
+  fuseResults,
+  chunkKey
+};
@@ -1,50 +1,410 @@
 const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
 require('dotenv').config();
+const {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  publicUser,
+  canSeeAllRecords,
+  authenticate,
+  requireRole,
+  ensureInitialAdmin
+} = require('./auth');
+const { register, httpMetrics } = require('./metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
+app.use(httpMetrics);
 app.use(cors());
 app.use(express.json());
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('MongoDB Connected'))
+  .then(() => {
+    console.log('MongoDB Connected');
+    return ensureInitialAdmin();
+  })
   .catch(err => console.error('MongoDB Error:', err));
 
 // Updated Schemas
+// Cited passage behind an inline [n] marker in an answer
+const SourceSchema = new mongoose.Schema({
+  id: Number,
+  document: String,
+  pageStart: Number,
+  pageEnd: Number,
+  // Heading path, for documents without pages
+  section: String,
+  snippet: String
+}, { _id: false });
+
+// Document revision a question was asked against
+const RevisionRefSchema = new mongoose.Schema({
+  filename: String,
+  contentHash: String,
+  label: String
+}, { _id: false });
+
+// Kind and number of PHI items removed from a question, feedback comment or
+// correction (never the values)
+const RedactionSchema = new mongoose.Schema({
+  type: { type: String },
+  count: Number
+}, { _id: false });
+
+// How the prompt's token budget was spent, for debugging answer quality
+const PromptBudgetSchema = new mongoose.Schema({
+  model: String,
+  encoding: String,
+  limit: Number,
+  used: Number,
+  instructions: Number,
+  context: {
+    tokens: Number,
+    chunks: [{
+      _id: false,
+      rank: Number,
+      document: String,
+      pageStart: Number,
+      pageEnd: Number,
+      tokens: Number,
+      status: { type: String, enum: ['kept', 'truncated', 'dropped'] }
+    }]
+  },
+  history: {
+    tokens: Number,
+    full: Number,
+    summarized: Number,
+    dropped: Number
+  }
+}, { _id: false });
+
+// Issue categories a user can attach to their rating of an answer
+const FEEDBACK_CATEGORIES = ['wrong', 'incomplete', 'outdated', 'wrong_source', 'off_topic'];
+
+const FeedbackSchema = new mongoose.Schema({
+  comment: { type: String, default: '' },
+  categories: { type: [{ type: String, enum: FEEDBACK_CATEGORIES }], default: [] },
+  redactions: { type: [RedactionSchema], default: [] },
+  updatedAt: Date
+}, { _id: false });
+
+// Improved answer proposed by a reviewer for a poorly rated response
+const CorrectionSchema = new mongoose.Schema({
+  answer: String,
+  redactions: { type: [RedactionSchema], default: [] },
+  proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  proposedByName: String,
+  proposedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const ChatSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
   sessionId: String,
   messageId: String,
   question: String,
+  // Standalone query used for retrieval; differs from question when a
+  // follow-up was rewritten using the session history
+  searchQuery: String,
+  collections: { type: [String], default: undefined }, // Collections the question was scoped to
+  // Earlier revisions searched instead of the active ones
+  revisions: { type: [RevisionRefSchema], default: undefined },
   answer: String,
   pageNumbers: [Number],
+  sources: { type: [SourceSchema], default: [] },
+  redactions: { type: [RedactionSchema], default: [] },
+  promptBudget: { type: PromptBudgetSchema, default: undefined },
   rating: { type: Number, default: null },
+  feedback: { type: FeedbackSchema, default: undefined },
+  correction: { type: CorrectionSchema, default: undefined },
   success: { type: Boolean, default: true }, // New field to track successful responses
   timestamp: { type: Date, default: Date.now }
 });
 
+// Full-text search and newest-first paging for the chat history
+ChatSchema.index({ question: 'text', answer: 'text' });
+ChatSchema.index({ timestamp: -1, _id: -1 });
+ChatSchema.index({ sessionId: 1, timestamp: 1 });
+
+// Standard (JCI manuals) or numbered section of a revision, used to compare editions
+const SectionSchema = new mongoose.Schema({
+  key: String,
+  title: String,
+  pageStart: Number,
+  pageEnd: Number,
+  hash: String,
+  words: Number
+}, { _id: false });
+
+// One ingested version of a document. Its chunks stay indexed after it is
+// replaced, so it can still be searched on request or made active again.
+const RevisionSchema = new mongoose.Schema({
+  label: String, // e.g. "8th edition"
+  effectiveDate: Date,
+  contentHash: String,
+  fileSize: Number,
+  chunksCount: Number,
+  vectorIds: { type: [String], default: undefined },
+  chunking: String, // How the chunks were split; missing means by size
+  sections: { type: [SectionSchema], default: undefined },
+  processedAt: Date
+});
+
+// fileSize, contentHash, chunksCount and vectorIds describe the active revision
 const ProcessedPDFSchema = new mongoose.Schema({
   filename: String,
   fileSize: Number,
   processedAt: { type: Date, default: Date.now },
-  chunksCount: Number
+  chunksCount: Number,
+  contentHash: String,
+  vectorIds: { type: [String], default: undefined },
+  chunking: String,
+  // CHUNKING setting the active revision was last split under; when it matches
+  // the current one the document is up to date without parsing it again
+  chunkingMode: String,
+  collections: { type: [String], default: [] }, // Collection slugs, also stored on every chunk
+  revisions: { type: [RevisionSchema], default: [] },
+  activeRevision: { type: mongoose.Schema.Types.ObjectId, default: null },
+  status: { type: String, enum: ['processing', 'ready', 'failed'], default: 'ready' },
+  error: { type: String, default: null }
+});
+
+// Background ingestion of one document; see ingestion-jobs.js
+const IngestionJobSchema = new mongoose.Schema({
+  filename: String,
+  trigger: { type: String, enum: ['startup', 'upload', 'replace', 'retry'] },
+  status: { type: String, enum: ['queued', 'running', 'failed', 'done'], default: 'queued' },
+  revision: { label: String, effectiveDate: Date }, // Details for the revision it creates
+  progress: {
+    embedded: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  retries: { type: Number, default: 0 }, // Embedding batches retried
+  error: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  startedAt: Date,
+  finishedAt: Date
+});
+IngestionJobSchema.index({ status: 1, createdAt: 1 });
+
+// Group of documents a question can be scoped to, e.g. "Nursing SOPs"
+const CollectionSchema = new mongoose.Schema({
+  slug: { type: String, unique: true },
+  name: String,
+  description: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Answers reused for semantically similar questions; entries are removed
+// when a document they were built from is re-ingested or deleted
+const AnswerCacheSchema = new mongoose.Schema({
+  // Its embedding is kept in the vector store under the entry's id; see answer-cache.js
+  question: String,
+  answer: String,
+  pageNumbers: [Number],
+  sources: { type: [SourceSchema], default: [] },
+  documents: [{ _id: false, filename: String, contentHash: String }],
+  // Sorted collection slugs the answer was scoped to; empty for all documents
+  collections: { type: [String], default: [] },
+  hits: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  lastHitAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null, index: { expireAfterSeconds: 0 } }
+});
+
+// Staff, quality reviewers and admins; see auth.js for what each role can do
+const UserSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: String,
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ROLES, default: 'staff' },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
 });
 
 const Chat = mongoose.model('Chat', ChatSchema);
 const ProcessedPDF = mongoose.model('ProcessedPDF', ProcessedPDFSchema);
+const AnswerCache = mongoose.model('AnswerCache', AnswerCacheSchema);
+const User = mongoose.model('User', UserSchema);
+const Collection = mongoose.model('Collection', CollectionSchema);
+const IngestionJob = mongoose.model('IngestionJob', IngestionJobSchema);
 
 // Import RAG functions (instead of class)
-const { initializeRAG, getAnswer } = require('./rag-service');
+const {
+  getAnswer,
+  activateRevision,
+  deleteRevision,
+  setDocumentCollections,
+  lookupStandard,
+  deleteDocument,
+  PDF_DIR
+} = require('./rag-service');
+const {
+  dateRange,
+  getOverview,
+  getTopQuestions,
+  getTopPages,
+  getKnowledgeGaps
+} = require('./analytics');
+const { compareSections } = require('./document-sections');
+const { SUPPORTED_EXTENSIONS, isSupported } = require('./document-loaders');
+const {
+  startIngestion,
+  enqueueIngestion,
+  retryJob,
+  isKnowledgeBaseReady,
+  ingestionStatus
+} = require('./ingestion-jobs');
+const { checkReadiness, connectionStatus } = require('./health-checks');
+const { deleteCachedAnswers } = require('./answer-cache');
+const { redactPHI } = require('./phi-redaction');
+
+// Uploads (PDF, Word, HTML, Markdown or text) are kept in memory and written
+// to the pdfs folder by the routes
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, isSupported(file.originalname))
+});
+const FILE_REQUIRED = `A ${SUPPORTED_EXTENSIONS.join(', ')} file is required`;
+
+// Initialize RAG and ingest new or changed documents in the background
+startIngestion();
+
+// Auth API Routes
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || !user.active || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: signToken(user),
+      user: publicUser(user)
+    });
+  } catch (error) {
+    console.error('Login API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in'
+    });
+  }
+});
+
+app.get('/api/auth/me', authenticate, (req, res) => {
+  res.json({ success: true, user: publicUser(req.user) });
+});
+
+// User Management API Routes (admin only)
+app.get('/api/users', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const users = await User.find({}).sort({ createdAt: -1 });
+    res.json({
+      success: true,
+      users: users.map(user => ({ ...publicUser(user), active: user.active }))
+    });
+  } catch (error) {
+    console.error('Users API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch users'
+    });
+  }
+});
 
-// Initialize RAG on startup
-initializeRAG();
+app.post('/api/users', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { email, name, password, role = 'staff' } = req.body;
+
+    if (!email || !password || !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Email, password and a role of ${ROLES.join(', ')} required`
+      });
+    }
+
+    if (await User.exists({ email: email.toLowerCase().trim() })) {
+      return res.status(409).json({
+        success: false,
+        error: 'A user with this email already exists'
+      });
+    }
+
+    const user = await User.create({
+      email,
+      name,
+      passwordHash: await hashPassword(password),
+      role
+    });
+    res.status(201).json({ success: true, user: publicUser(user) });
+  } catch (error) {
+    console.error('Create User API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create user'
+    });
+  }
+});
+
+app.patch('/api/users/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { role, active, password } = req.body;
+    const update = {};
+
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `Role must be one of ${ROLES.join(', ')}`
+        });
+      }
+      update.role = role;
+    }
+    if (active !== undefined) update.active = Boolean(active);
+    if (password) update.passwordHash = await hashPassword(password);
+
+    const user = await User.findByIdAndUpdate(req.params.id, update, { new: true });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({ success: true, user: { ...publicUser(user), active: user.active } });
+  } catch (error) {
+    console.error('Update User API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user'
+    });
+  }
+});
 
 // API Routes
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', authenticate, requireKnowledgeBase, async (req, res) => {
   try {
     const { message, sessionId } = req.body;
     
@@ -55,7 +415,23 @@ app.post('/api/chat', async (req, res) => {
       });
     }
 
-    const result = await getAnswer(message, sessionId);
+    const collections = await parseCollections(req.body.collections);
+    if (!collections) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown collection'
+      });
+    }
+
+    const revisions = await parseRevisions(req.body.revisions);
+    if (!revisions) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown revision, or more than one for a document'
+      });
+    }
+
+    const result = await getAnswer(message, sessionId, { userId: req.user._id, collections, revisions });
     res.json({ success: true, ...result });
   } catch (error) {
     console.error('Chat API Error:', error);
@@ -66,19 +442,138 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
-app.post('/api/feedback', async (req, res) => {
+// Streams the answer as Server-Sent Events: sources, then tokens, then done
+app.post('/api/chat/stream', authenticate, requireKnowledgeBase, async (req, res) => {
+  const { message, sessionId } = req.body;
+
+  if (!message || !sessionId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Message and sessionId required'
+    });
+  }
+
+  let collections;
+  let revisions;
+  try {
+    collections = await parseCollections(req.body.collections);
+    revisions = await parseRevisions(req.body.revisions);
+  } catch (error) {
+    console.error('Chat Stream API Error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate response'
+    });
+  }
+  if (!collections) {
+    return res.status(400).json({
+      success: false,
+      error: 'Unknown collection'
+    });
+  }
+  if (!revisions) {
+    return res.status(400).json({
+      success: false,
+      error: 'Unknown revision, or more than one for a document'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await getAnswer(message, sessionId, {
+      userId: req.user._id,
+      collections,
+      revisions,
+      onSources: (sources) => send('sources', { sources }),
+      onToken: (token) => send('token', { token })
+    });
+
+    send('done', {
+      messageId: result.messageId,
+      answer: result.answer,
+      pageNumbers: result.pageNumbers,
+      sources: result.sources || [],
+      question: result.question,
+      redactions: result.redactions,
+      consistent: result.consistent || false,
+      success: result.answered
+    });
+  } catch (error) {
+    console.error('Chat Stream API Error:', error);
+    send('error', { error: 'Failed to generate response' });
+  } finally {
+    res.end();
+  }
+});
+
+// Rate an answer and/or describe what was wrong with it. Any of rating,
+// comment and categories may be sent; fields that are left out are kept.
+app.post('/api/feedback', authenticate, async (req, res) => {
   try {
-    const { messageId, rating } = req.body;
+    const { messageId, rating, comment, categories } = req.body;
     
-    if (!messageId || !rating) {
+    if (!messageId || (rating == null && comment == null && categories == null)) {
       return res.status(400).json({
         success: false,
-        error: 'MessageId and rating required'
+        error: 'MessageId and a rating, comment or categories required'
       });
     }
 
-    await Chat.findOneAndUpdate({ messageId }, { rating });
-    res.json({ success: true });
+    if (rating != null && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rating must be a whole number from 1 to 5'
+      });
+    }
+
+    if (categories != null && (!Array.isArray(categories) ||
+        categories.some((category) => !FEEDBACK_CATEGORIES.includes(category)))) {
+      return res.status(400).json({
+        success: false,
+        error: `Categories must be any of: ${FEEDBACK_CATEGORIES.join(', ')}`
+      });
+    }
+
+    if (comment != null && (typeof comment !== 'string' || comment.length > 2000)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Comment must be text of at most 2000 characters'
+      });
+    }
+
+    const update = {};
+    if (rating != null) update.rating = rating;
+    // Comments are where patient details get typed; store them redacted like questions
+    const redacted = comment != null ? redactPHI(comment.trim()) : null;
+    if (redacted) {
+      update['feedback.comment'] = redacted.text;
+      update['feedback.redactions'] = redacted.redactions;
+    }
+    if (categories != null) update['feedback.categories'] = [...new Set(categories)];
+    if (comment != null || categories != null) update['feedback.updatedAt'] = new Date();
+
+    // Staff can only rate answers they were given
+    const filter = canSeeAllRecords(req.user)
+      ? { messageId }
+      : { messageId, userId: req.user._id };
+
+    const chat = await Chat.findOneAndUpdate(filter, { $set: update });
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+    res.json({ success: true, ...(redacted && { comment: redacted.text }) });
   } catch (error) {
     console.error('Feedback API Error:', error);
     res.status(500).json({
@@ -88,25 +583,245 @@ app.post('/api/feedback', async (req, res) => {
   }
 });
 
-app.get('/api/health', (req, res) => {
+// Reviewers propose a corrected answer; an empty answer withdraws it
+app.put('/api/feedback/:messageId/correction', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const { text: answer, redactions } = redactPHI(
+      typeof req.body.answer === 'string' ? req.body.answer.trim() : ''
+    );
+
+    const update = answer
+      ? {
+        $set: {
+          correction: {
+            answer,
+            redactions,
+            proposedBy: req.user._id,
+            proposedByName: req.user.name || req.user.email,
+            proposedAt: new Date()
+          }
+        }
+      }
+      : { $unset: { correction: 1 } };
+
+    const chat = await Chat.findOneAndUpdate({ messageId: req.params.messageId }, update, { new: true })
+      .select('messageId correction');
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found'
+      });
+    }
+
+    res.json({ success: true, correction: chat.correction || null });
+  } catch (error) {
+    console.error('Correction API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save correction'
+    });
+  }
+});
+
+// Summary for the chat UI. ready turns true once the documents found at
+// startup are ingested; ingestion.updating stays true while any document is
+// queued or embedding. status is DEGRADED while MongoDB or the vector store
+// is not connected; /api/health/ready checks every dependency in depth.
+app.get('/api/health', async (req, res) => {
+  let ingestion;
+  try {
+    ingestion = await ingestionStatus();
+  } catch (error) {
+    console.error('Health API Error:', error);
+    ingestion = { ready: isKnowledgeBaseReady() };
+  }
+
+  const connections = connectionStatus();
+  res.json({
+    status: Object.values(connections).every(Boolean) ? 'OK' : 'DEGRADED',
+    message: 'Hospital RAG Chatbot API Running',
+    ready: ingestion.ready,
+    connections,
+    ingestion,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Liveness: the process is up and serving requests
+app.get('/api/health/live', (req, res) => {
   res.json({
     status: 'OK',
-    message: 'Hospital RAG Chatbot API Running',
+    uptime: Math.round(process.uptime()),
     timestamp: new Date().toISOString()
   });
 });
 
+// Readiness: MongoDB, the vector store, the LLM and embedding providers and
+// startup ingestion all check out; 503 with the failing checks otherwise
+app.get('/api/health/ready', async (req, res) => {
+  try {
+    const { ready, checks } = await checkReadiness();
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'READY' : 'NOT_READY',
+      checks,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Readiness API Error:', error);
+    res.status(503).json({
+      status: 'NOT_READY',
+      error: 'Readiness check failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Prometheus scrape endpoint. With METRICS_TOKEN set, scrapers must send it
+// as a bearer token.
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid metrics token'
+    });
+  }
+
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (error) {
+    console.error('Metrics API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to collect metrics'
+    });
+  }
+});
+
+// Ingestion jobs, newest first. Filters: status, filename
+app.get('/api/ingestion/jobs', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.filename) filter.filename = req.query.filename;
+
+    const jobs = await IngestionJob.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json({
+      success: true,
+      ingestion: await ingestionStatus(),
+      jobs
+    });
+  } catch (error) {
+    console.error('Ingestion Jobs API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ingestion jobs'
+    });
+  }
+});
+
+app.get('/api/ingestion/jobs/:id', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const job = await IngestionJob.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ingestion job not found'
+      });
+    }
+
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Ingestion Job API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ingestion job'
+    });
+  }
+});
+
+// Queues a failed job's document again; the new job is returned
+app.post('/api/ingestion/jobs/:id/retry', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const job = await IngestionJob.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ingestion job not found'
+      });
+    }
+    if (job.status !== 'failed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Only failed jobs can be retried'
+      });
+    }
+    if (!fs.existsSync(path.join(PDF_DIR, job.filename))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document no longer exists'
+      });
+    }
+
+    await ProcessedPDF.updateOne({ filename: job.filename }, { status: 'processing', error: null });
+    const retried = await retryJob(job);
+    res.status(202).json({ success: true, job: retried });
+  } catch (error) {
+    console.error('Ingestion Job Retry API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry ingestion job'
+    });
+  }
+});
+
 // NEW API Route for Chat History
-app.get('/api/chats', async (req, res) => {
+// Cursor-paginated, newest first. Filters: from, to, minRating, maxRating,
+// success, sessionId and q (full-text search over questions and answers).
+app.get('/api/chats', authenticate, async (req, res) => {
   try {
-    const allChats = await Chat.find({})
-      .sort({ timestamp: -1 })
-      .select('sessionId messageId question answer pageNumbers rating success timestamp');
-    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const filter = buildChatFilter(req.query);
+    if (!canSeeAllRecords(req.user)) {
+      filter.userId = req.user._id;
+    }
+
+    const conditions = [filter];
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor'
+        });
+      }
+      conditions.push({
+        $or: [
+          { timestamp: { $lt: cursor.timestamp } },
+          { timestamp: cursor.timestamp, _id: { $lt: cursor.id } }
+        ]
+      });
+    }
+
+    const [chats, total] = await Promise.all([
+      Chat.find({ $and: conditions })
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(limit + 1)
+        .select('sessionId messageId question searchQuery revisions answer pageNumbers sources redactions rating feedback correction success timestamp'),
+      Chat.countDocuments(filter)
+    ]);
+
+    const hasMore = chats.length > limit;
+    const page = chats.slice(0, limit);
+    const last = page[page.length - 1];
+
     res.json({
       success: true,
-      chats: allChats,
-      total: allChats.length
+      chats: page,
+      total,
+      nextCursor: hasMore ? encodeCursor(last) : null
     });
   } catch (error) {
     console.error('Chat History API Error:', error);
@@ -117,7 +832,800 @@ app.get('/api/chats', async (req, res) => {
   }
 });
 
+// Translate /api/chats query parameters into a Mongo filter
+function buildChatFilter(query) {
+  const filter = {};
+
+  if (query.from || query.to) {
+    filter.timestamp = {};
+    if (query.from) filter.timestamp.$gte = new Date(query.from);
+    if (query.to) {
+      // A bare date means "up to the end of that day"
+      const to = new Date(query.to);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(query.to)) to.setUTCHours(23, 59, 59, 999);
+      filter.timestamp.$lte = to;
+    }
+  }
+
+  if (query.minRating || query.maxRating) {
+    filter.rating = { $ne: null };
+    if (query.minRating) filter.rating.$gte = Number(query.minRating);
+    if (query.maxRating) filter.rating.$lte = Number(query.maxRating);
+  }
+
+  if (query.success === 'true' || query.success === 'false') {
+    filter.success = query.success === 'true';
+  }
+
+  if (query.sessionId) {
+    filter.sessionId = query.sessionId;
+  }
+
+  if (query.q && query.q.trim()) {
+    filter.$text = { $search: query.q.trim() };
+  }
+
+  return filter;
+}
+
+function encodeCursor(chat) {
+  const payload = JSON.stringify({ t: chat.timestamp.toISOString(), id: chat._id });
+  return Buffer.from(payload).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return { timestamp: new Date(t), id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Session API Routes
+// Sessions are always the current user's own conversations
+app.get('/api/sessions', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const sessions = await Chat.aggregate([
+      { $match: { sessionId: { $ne: null }, userId: req.user._id } },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: '$sessionId',
+          firstQuestion: { $first: '$question' },
+          messageCount: { $sum: 1 },
+          startedAt: { $first: '$timestamp' },
+          lastActivity: { $last: '$timestamp' }
+        }
+      },
+      { $sort: { lastActivity: -1 } },
+      { $limit: limit }
+    ]);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(({ _id, ...session }) => ({
+        sessionId: _id,
+        title: sessionTitle(session.firstQuestion),
+        ...session
+      }))
+    });
+  } catch (error) {
+    console.error('Sessions API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sessions'
+    });
+  }
+});
+
+app.get('/api/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const messages = await Chat.find({ sessionId: req.params.id, userId: req.user._id })
+      .sort({ timestamp: 1 })
+      .select('messageId question answer pageNumbers sources redactions rating feedback correction success timestamp');
+
+    if (messages.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      sessionId: req.params.id,
+      title: sessionTitle(messages[0].question),
+      messages
+    });
+  } catch (error) {
+    console.error('Session API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch session'
+    });
+  }
+});
+
+// Short sidebar title from a session's first question
+function sessionTitle(question = '') {
+  const title = question.trim();
+  return title.length > 60 ? `${title.slice(0, 57)}...` : title || 'Untitled conversation';
+}
+
+// Analytics API Routes (quality department)
+// All accept from/to (defaults to the last 30 days); lists also accept limit.
+const analyticsLimit = (query, fallback) =>
+  Math.min(Math.max(parseInt(query.limit, 10) || fallback, 1), 100);
+
+app.get('/api/analytics/overview', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const overview = await getOverview(dateRange(req.query), req.query.interval);
+    res.json({ success: true, ...overview });
+  } catch (error) {
+    console.error('Analytics Overview API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch analytics overview'
+    });
+  }
+});
+
+app.get('/api/analytics/top-questions', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const questions = await getTopQuestions(dateRange(req.query), analyticsLimit(req.query, 10));
+    res.json({ success: true, questions });
+  } catch (error) {
+    console.error('Top Questions API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch top questions'
+    });
+  }
+});
+
+app.get('/api/analytics/top-pages', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const pages = await getTopPages(dateRange(req.query), analyticsLimit(req.query, 10));
+    res.json({ success: true, pages });
+  } catch (error) {
+    console.error('Top Pages API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch top pages'
+    });
+  }
+});
+
+app.get('/api/analytics/knowledge-gaps', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const gaps = await getKnowledgeGaps(dateRange(req.query), analyticsLimit(req.query, 20));
+    res.json({ success: true, gaps });
+  } catch (error) {
+    console.error('Knowledge Gaps API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch knowledge gaps'
+    });
+  }
+});
+
+// Collection API Routes
+// Everyone can list collections to scope their questions; reviewers manage them
+app.get('/api/collections', authenticate, async (req, res) => {
+  try {
+    const [collections, counts] = await Promise.all([
+      Collection.find({}).sort({ name: 1 }),
+      ProcessedPDF.aggregate([
+        { $unwind: '$collections' },
+        { $group: { _id: '$collections', count: { $sum: 1 } } }
+      ])
+    ]);
+    const documentCounts = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json({
+      success: true,
+      collections: collections.map(collection => ({
+        ...collection.toObject(),
+        documentCount: documentCounts.get(collection.slug) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Collections API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch collections'
+    });
+  }
+});
+
+app.post('/api/collections', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const { name, description = '' } = req.body;
+    const slug = slugify(req.body.slug || name || '');
+
+    if (!name || !slug) {
+      return res.status(400).json({
+        success: false,
+        error: 'Collection name required'
+      });
+    }
+
+    if (await Collection.exists({ slug })) {
+      return res.status(409).json({
+        success: false,
+        error: 'A collection with this name already exists'
+      });
+    }
+
+    const collection = await Collection.create({ slug, name: name.trim(), description });
+    res.status(201).json({ success: true, collection });
+  } catch (error) {
+    console.error('Collection Create API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create collection'
+    });
+  }
+});
+
+// The slug is fixed once created because chunks are tagged with it
+app.patch('/api/collections/:id', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const update = {};
+    if (typeof req.body.name === 'string' && req.body.name.trim()) update.name = req.body.name.trim();
+    if (typeof req.body.description === 'string') update.description = req.body.description;
+
+    const collection = await Collection.findByIdAndUpdate(req.params.id, update, { new: true });
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found'
+      });
+    }
+    res.json({ success: true, collection });
+  } catch (error) {
+    console.error('Collection Update API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update collection'
+    });
+  }
+});
+
+// Deleting a collection removes it from its documents; the documents stay
+app.delete('/api/collections/:id', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found'
+      });
+    }
+
+    const documents = await ProcessedPDF.find({ collections: collection.slug });
+    for (const document of documents) {
+      await setDocumentCollections(
+        document.filename,
+        document.collections.filter(slug => slug !== collection.slug)
+      );
+    }
+
+    await Collection.deleteOne({ _id: collection._id });
+    res.json({ success: true, documentsUpdated: documents.length });
+  } catch (error) {
+    console.error('Collection Delete API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete collection'
+    });
+  }
+});
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Validate a list of collection slugs; returns null if any is unknown
+async function parseCollections(value) {
+  if (value == null) return [];
+  if (!Array.isArray(value) || value.some(slug => typeof slug !== 'string')) return null;
+
+  const slugs = [...new Set(value)];
+  if (slugs.length === 0) return [];
+  const found = await Collection.countDocuments({ slug: { $in: slugs } });
+  return found === slugs.length ? slugs : null;
+}
+
+// Document Management API Routes
+app.get('/api/documents', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const documents = await ProcessedPDF.find({})
+      .sort({ processedAt: -1 })
+      .select('filename fileSize contentHash chunksCount collections status error processedAt activeRevision ' +
+        'revisions._id revisions.label revisions.effectiveDate revisions.contentHash revisions.chunksCount revisions.processedAt');
+
+    res.json({
+      success: true,
+      documents,
+      total: documents.length
+    });
+  } catch (error) {
+    console.error('Documents API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch documents'
+    });
+  }
+});
+
+app.post('/api/documents', authenticate, requireRole('reviewer', 'admin'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: FILE_REQUIRED
+      });
+    }
+
+    const filename = path.basename(req.file.originalname);
+    if (await ProcessedPDF.exists({ filename })) {
+      return res.status(409).json({
+        success: false,
+        error: 'Document already exists, replace it instead'
+      });
+    }
+
+    // Multipart fields are strings: "jci-standards,nursing-sops"
+    const collections = await parseCollections(
+      (req.body.collections || '').split(',').map(slug => slug.trim()).filter(Boolean)
+    );
+    if (!collections) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown collection'
+      });
+    }
+
+    const revision = parseRevisionDetails(req.body);
+    if (!revision) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid effective date'
+      });
+    }
+
+    const { document, job } = await saveAndIngest(filename, req.file.buffer, { collections, revision, trigger: 'upload' });
+    res.status(202).json({ success: true, document, job });
+  } catch (error) {
+    console.error('Document Upload API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload document'
+    });
+  }
+});
+
+app.put('/api/documents/:id', authenticate, requireRole('reviewer', 'admin'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: FILE_REQUIRED
+      });
+    }
+
+    const existing = await ProcessedPDF.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    // The file is stored under the original name, whose extension picks its loader
+    if (path.extname(req.file.originalname).toLowerCase() !== path.extname(existing.filename).toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        error: `Replacement must be a ${path.extname(existing.filename)} file`
+      });
+    }
+
+    const revision = parseRevisionDetails(req.body);
+    if (!revision) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid effective date'
+      });
+    }
+
+    // The new revision keeps the original filename so references stay stable;
+    // once embedded it becomes active and the previous one is kept as history
+    const { document, job } = await saveAndIngest(existing.filename, req.file.buffer, { revision, trigger: 'replace' });
+    res.status(202).json({ success: true, document, job });
+  } catch (error) {
+    console.error('Document Replace API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replace document'
+    });
+  }
+});
+
+app.delete('/api/documents/:id', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const existing = await ProcessedPDF.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+    // Chunks being embedded now would outlive the document
+    if (existing.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        error: 'Document is still being processed'
+      });
+    }
+
+    await deleteDocument(existing.filename);
+    fs.rmSync(path.join(PDF_DIR, existing.filename), { force: true });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Document Delete API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete document'
+    });
+  }
+});
+
+// Assign a document to collections; its chunks are retagged without re-embedding
+app.put('/api/documents/:id/collections', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const collections = await parseCollections(req.body.collections || []);
+    if (!collections) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown collection'
+      });
+    }
+
+    const existing = await ProcessedPDF.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    const document = await setDocumentCollections(existing.filename, collections);
+    res.json({ success: true, document });
+  } catch (error) {
+    console.error('Document Collections API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update document collections'
+    });
+  }
+});
+
+// Documents with more than one revision, for choosing an edition to ask about
+app.get('/api/revisions', authenticate, async (req, res) => {
+  try {
+    const documents = await ProcessedPDF.find({ 'revisions.1': { $exists: true }, status: 'ready' })
+      .sort({ filename: 1 })
+      .select('filename activeRevision revisions._id revisions.label revisions.effectiveDate');
+
+    res.json({ success: true, documents });
+  } catch (error) {
+    console.error('Revisions API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch revisions'
+    });
+  }
+});
+
+// Full text of a standard by ID ("IPSG.2", "IPSG.02.01"), without similarity
+// search; ?revision=<id> reads an earlier edition instead of the active one
+app.get('/api/standards/:id', authenticate, async (req, res) => {
+  try {
+    const revisions = await parseRevisions(req.query.revision ? [req.query.revision] : []);
+    if (!revisions) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown revision'
+      });
+    }
+
+    const standards = lookupStandard(req.params.id, { revision: revisions[0] });
+    if (standards.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Standard not found'
+      });
+    }
+    res.json({ success: true, standards });
+  } catch (error) {
+    console.error('Standard Lookup API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up standard'
+    });
+  }
+});
+
+app.patch('/api/documents/:id/revisions/:revisionId', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const details = parseRevisionDetails(req.body);
+    if (!details) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid effective date'
+      });
+    }
+
+    const update = {};
+    if (details.label !== undefined) update['revisions.$.label'] = details.label;
+    if (details.effectiveDate) update['revisions.$.effectiveDate'] = details.effectiveDate;
+
+    const document = await ProcessedPDF.findOneAndUpdate(
+      { _id: req.params.id, 'revisions._id': req.params.revisionId },
+      { $set: update },
+      { new: true }
+    ).select('filename activeRevision revisions._id revisions.label revisions.effectiveDate');
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+    res.json({ success: true, document });
+  } catch (error) {
+    console.error('Revision Update API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update revision'
+    });
+  }
+});
+
+// Make an earlier revision the one answers come from by default
+app.post('/api/documents/:id/revisions/:revisionId/activate', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const existing = await ProcessedPDF.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+    if (existing.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        error: 'Document is still being processed'
+      });
+    }
+
+    const document = await activateRevision(existing.filename, req.params.revisionId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+    res.json({ success: true, activeRevision: document.activeRevision });
+  } catch (error) {
+    console.error('Revision Activate API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to activate revision'
+    });
+  }
+});
+
+app.delete('/api/documents/:id/revisions/:revisionId', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const existing = await ProcessedPDF.findById(req.params.id);
+    const revision = existing?.revisions.id(req.params.revisionId);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+    if (revision._id.equals(existing.activeRevision)) {
+      return res.status(409).json({
+        success: false,
+        error: 'The active revision cannot be deleted'
+      });
+    }
+
+    await deleteRevision(existing.filename, revision._id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revision Delete API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete revision'
+    });
+  }
+});
+
+// Standards or sections added, removed and changed between two revisions.
+// Defaults compare the active revision with the one before it.
+app.get('/api/documents/:id/compare', authenticate, requireRole('reviewer', 'admin'), async (req, res) => {
+  try {
+    const document = await ProcessedPDF.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    const byDate = [...document.revisions].sort((a, b) => a.effectiveDate - b.effectiveDate);
+    const to = req.query.to ? document.revisions.id(req.query.to) : document.revisions.id(document.activeRevision);
+    const from = req.query.from
+      ? document.revisions.id(req.query.from)
+      : byDate.filter(revision => revision.effectiveDate < to?.effectiveDate).pop();
+
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        error: 'Two revisions are needed to compare'
+      });
+    }
+    if (!from.sections || !to.sections) {
+      return res.status(409).json({
+        success: false,
+        error: 'Section outline not recorded for one of the revisions'
+      });
+    }
+
+    const describe = ({ _id, label, effectiveDate, contentHash }) => ({ _id, label, effectiveDate, contentHash });
+    res.json({
+      success: true,
+      filename: document.filename,
+      from: describe(from),
+      to: describe(to),
+      ...compareSections(from.sections, to.sections)
+    });
+  } catch (error) {
+    console.error('Revision Compare API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare revisions'
+    });
+  }
+});
+
+// Revision label and effective date from a request body; null if the date is invalid
+function parseRevisionDetails(body) {
+  const details = {};
+  if (typeof body.label === 'string') details.label = body.label.trim().slice(0, 100);
+  if (body.effectiveDate) {
+    const effectiveDate = new Date(body.effectiveDate);
+    if (isNaN(effectiveDate)) return null;
+    details.effectiveDate = effectiveDate;
+  }
+  return details;
+}
+
+// Resolve chosen revision IDs to { filename, contentHash, label }; returns null
+// if one is unknown or a document is chosen twice
+async function parseRevisions(value) {
+  if (value == null) return [];
+  if (!Array.isArray(value) || value.some(id => !mongoose.Types.ObjectId.isValid(id))) return null;
+  if (value.length === 0) return [];
+
+  const documents = await ProcessedPDF.find({ 'revisions._id': { $in: value } })
+    .select('filename revisions._id revisions.contentHash revisions.label');
+  const revisions = [];
+  for (const document of documents) {
+    const chosen = document.revisions.filter(revision => value.includes(String(revision._id)));
+    if (chosen.length > 1) return null;
+    revisions.push({ filename: document.filename, contentHash: chosen[0].contentHash, label: chosen[0].label });
+  }
+  return revisions.length === new Set(value).size ? revisions : null;
+}
+
+// Write an uploaded document to disk and queue it for ingestion. Collections
+// are left unchanged when not given.
+async function saveAndIngest(filename, buffer, { collections, revision, trigger }) {
+  fs.mkdirSync(PDF_DIR, { recursive: true });
+  fs.writeFileSync(path.join(PDF_DIR, filename), buffer);
+
+  const document = await ProcessedPDF.findOneAndUpdate(
+    { filename },
+    { fileSize: buffer.length, status: 'processing', error: null, ...(collections && { collections }) },
+    { upsert: true, new: true }
+  );
+
+  const job = await enqueueIngestion(filename, { trigger, revision });
+  return { document, job };
+}
+
+// Questions wait until the documents found at startup are ingested, rather
+// than being answered from a partial index
+async function requireKnowledgeBase(req, res, next) {
+  if (isKnowledgeBaseReady()) return next();
+
+  const { error } = await ingestionStatus().catch(() => ({}));
+  res.status(503).json({
+    success: false,
+    updating: !error,
+    error: error
+      ? 'The knowledge base is unavailable'
+      : 'The knowledge base is updating. Please try again in a few minutes.'
+  });
+}
+
+// Answer Cache Admin API Routes
+app.get('/api/admin/cache', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const entries = await AnswerCache.find({})
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      entries,
+      total: entries.length
+    });
+  } catch (error) {
+    console.error('Answer Cache API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch answer cache'
+    });
+  }
+});
+
+app.delete('/api/admin/cache/:id', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const deletedCount = await deleteCachedAnswers({ _id: req.params.id });
+    if (!deletedCount) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cache entry not found'
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Answer Cache API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete cache entry'
+    });
+  }
+});
+
+// Purges every entry, or only those built from ?filename=
+app.delete('/api/admin/cache', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { filename } = req.query;
+    const filter = filename ? { 'documents.filename': filename } : {};
+    const deletedCount = await deleteCachedAnswers(filter);
+
+    res.json({ success: true, deleted: deletedCount });
+  } catch (error) {
+    console.error('Answer Cache API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge answer cache'
+    });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Health: http://localhost:${PORT}/api/health`);
+  console.log(`Metrics: http://localhost:${PORT}/metrics`);
 });
\ No newline at end of file
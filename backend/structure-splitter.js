@@ -0,0 +1,194 @@
+const { STANDARD_HEADING, contentLines } = require('./document-sections');
+
+const STANDARD_ID = '([A-Z]{2,5}\\.\\d{1,2}(?:\\.\\d{2})*)';
+const INTENT_HEADING = new RegExp(`^Intent of ${STANDARD_ID}\\s*$`);
+const ELEMENTS_HEADING = new RegExp(`^Measurable Elements of ${STANDARD_ID}\\s*$`);
+
+// "Access to Care and Continuity of Care (ACC)" in the table of contents
+const CHAPTER_TITLE = /^([A-Z][A-Za-z,\-– ]+?)\s*\(([A-Z]{2,5})\)$/;
+// Chapter code in a running header or footer, whatever its letter case
+const CHAPTER_CODE = /\(([A-Za-z]{2,5})\)$/;
+// "Goal 3: Improve the Safety of Medications" groups IPSG standards
+const GOAL_HEADING = /^Goal \d+:/;
+// Measurable elements and bullets start a new unit of text
+const ITEM_START = /^(?:\d+\.\s|[•o]\s)/;
+
+const HEADING_LENGTH = 300;
+
+// "ipsg 2", "IPSG.2" and "IPSG.02" all become "IPSG.02"
+function normalizeStandardId(id) {
+  const [chapter, ...numbers] = String(id).trim().toUpperCase().split(/[\s.\-_]+/);
+  return [chapter, ...numbers.map(number => number.padStart(2, '0'))].join('.');
+}
+
+// Chapter code -> title, from the first place each chapter is named in full.
+// Small-caps headers come out of the PDF as "PatIent Safety" and are skipped.
+function chapterTitles(pages, codes) {
+  const titles = new Map();
+  for (const page of pages) {
+    for (const line of page.text.split('\n')) {
+      const match = line.trim().match(CHAPTER_TITLE);
+      if (match && codes.has(match[2]) && !titles.has(match[2]) &&
+        match[1].includes(' ') && !/[a-z][A-Z]/.test(match[1])) {
+        titles.set(match[2], `${match[1]} (${match[2]})`);
+      }
+    }
+  }
+  return titles;
+}
+
+// Chapter codes in the running header or footer of every page
+function edgeCodes(pages) {
+  return new Map(pages.map(page => {
+    const lines = page.text.split('\n').map(text => text.trim()).filter(Boolean);
+    const codes = [...lines.slice(0, 4), ...lines.slice(-3)]
+      .map(line => line.match(CHAPTER_CODE)?.[1].toUpperCase())
+      .filter(Boolean);
+    return [page.pageNumber, codes];
+  }));
+}
+
+// Lines that belong together: a measurable element or bullet with its
+// continuation lines, or the lines up to the end of a sentence
+function groupUnits(lines) {
+  const units = [];
+  let unit = null;
+  for (const line of lines) {
+    if (!unit || ITEM_START.test(line.text) || /[.:;]$/.test(unit[unit.length - 1].text)) {
+      unit = [];
+      units.push(unit);
+    }
+    unit.push(line);
+  }
+  return units;
+}
+
+// Pack whole units into pieces of at most size characters. Pieces do not
+// overlap, so a standard's text can be put back together from its chunks.
+function packLines(lines, size) {
+  const pieces = [];
+  let piece = [];
+  let length = 0;
+  for (const unit of groupUnits(lines)) {
+    const unitLength = unit.reduce((sum, line) => sum + line.text.length + 1, 0);
+    if (piece.length && length + unitLength > size) {
+      pieces.push(piece);
+      piece = [];
+      length = 0;
+    }
+    // A unit longer than a piece is split between its lines
+    for (const line of unit) {
+      if (piece.length && length + line.text.length + 1 > size) {
+        pieces.push(piece);
+        piece = [];
+        length = 0;
+      }
+      piece.push(line);
+      length += line.text.length + 1;
+    }
+  }
+  if (piece.length) pieces.push(piece);
+  return pieces;
+}
+
+// Split a JCI-style manual along its structure: chapter overviews, and for
+// every standard its intent and measurable elements. Each chunk starts with
+// its heading (the standard ID and statement) so it stands on its own, and
+// carries chapter, standardId and section. Returns null for documents without
+// "Standard <ID>" headings, which are split by size instead.
+function splitStructured(pages, { chunkSize = 1000 } = {}) {
+  const lines = contentLines(pages);
+  if (!lines.some(line => STANDARD_HEADING.test(line.text))) return null;
+
+  // Chapters are the prefixes of standard IDs, plus codes that run in the
+  // headers of several pages (chapters without standards)
+  const pageCodes = edgeCodes(pages);
+  const headerCounts = new Map();
+  [...pageCodes.values()].flat().forEach(code => headerCounts.set(code, (headerCounts.get(code) || 0) + 1));
+  const codes = new Set([
+    ...lines.map(line => line.text.match(STANDARD_HEADING)?.[1].split('.')[0]).filter(Boolean),
+    ...[...headerCounts].filter(([, count]) => count >= 3).map(([code]) => code)
+  ]);
+  const titles = chapterTitles(pages, codes);
+  const chapterOf = new Map([...pageCodes].map(([pageNumber, found]) =>
+    [pageNumber, found.find(code => codes.has(code)) || null]));
+
+  // Blocks of lines, each a standard statement, intent, measurable elements
+  // or other chapter text
+  const blocks = [];
+  let block = null;
+  for (const line of lines) {
+    const match = line.text.match(STANDARD_HEADING) ||
+      line.text.match(INTENT_HEADING) ||
+      line.text.match(ELEMENTS_HEADING);
+
+    if (match) {
+      const section = STANDARD_HEADING.test(line.text) ? 'standard'
+        : INTENT_HEADING.test(line.text) ? 'intent' : 'measurable-elements';
+      const standardId = normalizeStandardId(match[1]);
+      block = { section, standardId, chapter: standardId.split('.')[0], lines: [line] };
+      blocks.push(block);
+      continue;
+    }
+
+    // A new chapter starts a block of its own. Pages without a chapter code in
+    // their header (not every manual has one) continue the current block.
+    const chapter = chapterOf.get(line.pageNumber);
+    if (!block || (chapter && chapter !== block.chapter)) {
+      block = { section: 'overview', standardId: null, chapter, lines: [] };
+      blocks.push(block);
+    }
+    // Goal titles between standards would end up in the previous standard
+    if (block.standardId && GOAL_HEADING.test(line.text)) continue;
+    block.lines.push(line);
+  }
+
+  // Standard statements become the heading of their intent and measurable elements
+  const statements = new Map();
+  const detailed = new Set();
+  for (const { section, standardId, lines: blockLines } of blocks) {
+    if (section === 'standard') {
+      const statement = blockLines.slice(1).map(line => line.text).join(' ');
+      statements.set(standardId, `${standardId} ${statement}`.slice(0, HEADING_LENGTH));
+    } else if (standardId) {
+      detailed.add(standardId);
+    }
+  }
+
+  const chunks = [];
+  for (const { section, standardId, chapter, lines: blockLines } of blocks) {
+    if (section === 'standard' && detailed.has(standardId)) continue;
+
+    // A statement without intent or measurable elements is a chunk of its own
+    const baseHeading = section === 'standard' ? null
+      : standardId ? statements.get(standardId) || standardId
+        : titles.get(chapter) || null;
+    const size = Math.max(chunkSize - (baseHeading?.length || 0), chunkSize / 2);
+
+    packLines(blockLines, size).forEach((piece, index) => {
+      // Later pieces repeat what they continue, e.g. "Intent of IPSG.02.01 (continued)"
+      const heading = index > 0 && section !== 'overview'
+        ? [baseHeading, `${blockLines[0].text} (continued)`].filter(Boolean).join('\n')
+        : baseHeading;
+      const body = piece.map(line => line.text).join('\n');
+
+      chunks.push({
+        text: heading ? `${heading}\n${body}` : body,
+        pageStart: piece[0].pageNumber,
+        pageEnd: piece[piece.length - 1].pageNumber,
+        chapter: chapter || null,
+        chapterTitle: titles.get(chapter) || null,
+        standardId,
+        section,
+        heading
+      });
+    });
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  splitStructured,
+  normalizeStandardId
+};
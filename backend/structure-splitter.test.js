@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitStructured, normalizeStandardId } = require('./structure-splitter');
+
+// A page with the chapter code in its running header, and one without
+const pages = [
+  {
+    pageNumber: 1,
+    text: [
+      'Anticoagulant Basics (ABC)',
+      'Standard ABC.01.00',
+      'The organization manages anticoagulants safely.',
+      'Intent of ABC.01.00',
+      'Anticoagulants are high-risk medications.',
+      'Measurable Elements of ABC.01.00',
+      '1. Dosing protocols are in place.'
+    ].join('\n')
+  },
+  {
+    pageNumber: 2,
+    text: [
+      'Standard ABC.02.00',
+      'Patients on anticoagulants are monitored.',
+      'Intent of ABC.02.00',
+      'Monitoring detects bleeding early.'
+    ].join('\n')
+  }
+];
+
+const find = (chunks, standardId, section) =>
+  chunks.filter(chunk => chunk.standardId === standardId && chunk.section === section);
+
+test('returns null for documents without standards', () => {
+  assert.equal(splitStructured([{ pageNumber: 1, text: 'Hand hygiene policy\nWash hands.' }]), null);
+});
+
+test('splits a standard into intent and measurable elements under its statement', () => {
+  const chunks = splitStructured(pages);
+  const [intent] = find(chunks, 'ABC.01.00', 'intent');
+  assert.equal(intent.chapter, 'ABC');
+  assert.equal(intent.chapterTitle, 'Anticoagulant Basics (ABC)');
+  assert.equal(intent.heading, 'ABC.01.00 The organization manages anticoagulants safely.');
+  assert.match(intent.text, /Anticoagulants are high-risk medications\./);
+  assert.equal(find(chunks, 'ABC.01.00', 'measurable-elements').length, 1);
+});
+
+test('keeps standards together on pages without a chapter header', () => {
+  const chunks = splitStructured(pages);
+  const [intent] = find(chunks, 'ABC.02.00', 'intent');
+  assert.equal(intent.heading, 'ABC.02.00 Patients on anticoagulants are monitored.');
+  assert.match(intent.text, /Monitoring detects bleeding early\./);
+  assert.ok(!chunks.some(chunk => chunk.section === 'overview' && /monitored/.test(chunk.text)));
+});
+
+test('continued statement chunks have no empty heading', () => {
+  const statement = Array.from({ length: 6 }, (_, i) => `Sentence ${i + 1} of the statement is here.`);
+  const chunks = splitStructured([{
+    pageNumber: 1,
+    text: ['Standard ABC.03.00', ...statement].join('\n')
+  }], { chunkSize: 100 });
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks[0].heading, null);
+  for (const chunk of chunks.slice(1)) {
+    assert.equal(chunk.heading, 'Standard ABC.03.00 (continued)');
+    assert.ok(!chunk.text.startsWith('null'));
+  }
+});
+
+test('normalizes standard IDs', () => {
+  assert.equal(normalizeStandardId('ipsg 2'), 'IPSG.02');
+  assert.equal(normalizeStandardId('IPSG.2.1'), 'IPSG.02.01');
+});
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const { PineconeStore } = require('@langchain/pinecone');
+const { Pinecone } = require('@pinecone-database/pinecone');
+const { Document } = require('langchain/document');
+
+// Every adapter returns an object with the same shape:
+//   addDocuments(docs, ids)
+//   addVectors(vectors, docs, ids)  stores already computed embeddings
+//   similaritySearchWithScore(query, k, filter) -> [[Document, score], ...]
+//   similaritySearchVectorWithScore(vector, k, filter) -> [[Document, score], ...]
+//   deleteByIds(ids)
+//   deleteByDocument(source)
+//   updateMetadata(ids, metadata)  merges fields into existing vectors' metadata
+//   stats() -> { vectors }         also serves as a connectivity check
+// Filters use Pinecone's metadata syntax ({ field: value } or { field: { $eq, $ne, $in, $nin } })
+// so callers don't need to know which backend is active.
+// A namespace keeps other vectors (cached questions) apart from the documents:
+// a Pinecone namespace, or a file of its own for the local store.
+
+// Create the vector store selected by VECTOR_STORE (pinecone | local)
+async function createVectorStore(embeddings, { namespace } = {}) {
+  const type = (process.env.VECTOR_STORE || 'pinecone').toLowerCase();
+
+  switch (type) {
+    case 'pinecone':
+      return createPineconeStore(embeddings, namespace);
+    case 'local':
+      return createLocalStore(embeddings, namespace);
+    default:
+      throw new Error(`Unknown VECTOR_STORE: ${type}`);
+  }
+}
+
+// Pinecone adapter
+async function createPineconeStore(embeddings, namespace) {
+  const pinecone = new Pinecone({
+    apiKey: process.env.PINECONE_API_KEY,
+  });
+  const pineconeIndex = pinecone.Index(process.env.PINECONE_INDEX_NAME);
+  const namespaceIndex = namespace ? pineconeIndex.namespace(namespace) : pineconeIndex;
+
+  const store = await PineconeStore.fromExistingIndex(
+    embeddings,
+    { pineconeIndex: pineconeIndex, namespace }
+  );
+
+  return {
+    name: 'pinecone',
+
+    async addDocuments(docs, ids) {
+      await store.addDocuments(docs, { ids });
+    },
+
+    async addVectors(vectors, docs, ids) {
+      await store.addVectors(vectors, docs, { ids });
+    },
+
+    async similaritySearchWithScore(query, k, filter) {
+      return store.similaritySearchWithScore(query, k, filter);
+    },
+
+    async similaritySearchVectorWithScore(vector, k, filter) {
+      return store.similaritySearchVectorWithScore(vector, k, filter);
+    },
+
+    async deleteByIds(ids) {
+      if (ids.length > 0) {
+        await store.delete({ ids });
+      }
+    },
+
+    // Metadata deletes are not supported on every Pinecone index type
+    async deleteByDocument(source) {
+      await store.delete({ filter: { source: { $eq: source } } });
+    },
+
+    // Pinecone updates one vector per call, so send them in small batches
+    async updateMetadata(ids, metadata) {
+      for (let i = 0; i < ids.length; i += 50) {
+        await Promise.all(ids.slice(i, i + 50).map(id =>
+          namespaceIndex.update({ id, metadata })
+        ));
+      }
+    },
+
+    async stats() {
+      const { totalRecordCount, namespaces } = await pineconeIndex.describeIndexStats();
+      return { vectors: namespace ? namespaces?.[namespace]?.recordCount || 0 : totalRecordCount };
+    }
+  };
+}
+
+// Local adapter: in-process cosine search persisted to a JSON file
+async function createLocalStore(embeddings, namespace) {
+  const basePath = process.env.LOCAL_VECTOR_STORE_PATH ||
+    path.join(__dirname, 'data', 'vector-store.json');
+  // vector-store.json -> vector-store.answer-cache.json
+  const storePath = namespace
+    ? basePath.replace(/(\.json)?$/, `.${namespace}.json`)
+    : basePath;
+
+  let records = [];
+  if (fs.existsSync(storePath)) {
+    records = JSON.parse(fs.readFileSync(storePath, 'utf8')).records || [];
+  }
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ records }));
+    fs.renameSync(tmpPath, storePath);
+  };
+
+  const addVectors = async (vectors, docs, ids) => {
+    const byId = new Map(records.map(record => [record.id, record]));
+
+    docs.forEach((doc, index) => {
+      byId.set(ids[index], {
+        id: ids[index],
+        values: vectors[index],
+        pageContent: doc.pageContent,
+        metadata: doc.metadata
+      });
+    });
+
+    records = [...byId.values()];
+    save();
+  };
+
+  const searchByVector = async (queryVector, k, filter) => records
+    .filter(record => matchesFilter(record.metadata, filter))
+    .map(record => [record, cosineSimilarity(queryVector, record.values)])
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, k)
+    .map(([record, score]) => [
+      new Document({ pageContent: record.pageContent, metadata: record.metadata }),
+      score
+    ]);
+
+  console.log(`Local vector store loaded: ${records.length} vectors from ${storePath}`);
+
+  return {
+    name: 'local',
+
+    async addDocuments(docs, ids) {
+      const vectors = await embeddings.embedDocuments(docs.map(doc => doc.pageContent));
+      await addVectors(vectors, docs, ids);
+    },
+
+    addVectors,
+
+    async similaritySearchWithScore(query, k, filter) {
+      return searchByVector(await embeddings.embedQuery(query), k, filter);
+    },
+
+    similaritySearchVectorWithScore: searchByVector,
+
+    async deleteByIds(ids) {
+      const idSet = new Set(ids);
+      records = records.filter(record => !idSet.has(record.id));
+      save();
+    },
+
+    async deleteByDocument(source) {
+      records = records.filter(record => record.metadata.source !== source);
+      save();
+    },
+
+    async updateMetadata(ids, metadata) {
+      const idSet = new Set(ids);
+      records.forEach(record => {
+        if (idSet.has(record.id)) record.metadata = { ...record.metadata, ...metadata };
+      });
+      save();
+    },
+
+    async stats() {
+      return { vectors: records.length };
+    }
+  };
+}
+
+// Check metadata against a Pinecone-style filter
+function matchesFilter(metadata, filter) {
+  if (!filter) return true;
+
+  return Object.entries(filter).every(([field, condition]) => {
+    const value = metadata[field];
+
+    if (field === '$and') return condition.every(sub => matchesFilter(metadata, sub));
+    if (field === '$or') return condition.some(sub => matchesFilter(metadata, sub));
+
+    // List metadata matches when any of its values does, as in Pinecone
+    const values = Array.isArray(value) ? value : [value];
+
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return values.includes(condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$eq': return values.includes(operand);
+        case '$ne': return !values.includes(operand);
+        case '$in': return values.some(v => operand.includes(v));
+        case '$nin': return !values.some(v => operand.includes(v));
+        case '$gt': return value > operand;
+        case '$gte': return value >= operand;
+        case '$lt': return value < operand;
+        case '$lte': return value <= operand;
+        default: throw new Error(`Unsupported filter operator: ${operator}`);
+      }
+    });
+  });
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+module.exports = {
+  createVectorStore,
+  cosineSimilarity,
+  matchesFilter
+};
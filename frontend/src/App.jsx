@@ -1,16 +1,80 @@
 import React, { useState, useRef, useEffect } from "react";
-import { Send, Bot, User, Loader, Star, History } from "lucide-react";
+import {
+  Send,
+  Bot,
+  User,
+  Loader,
+  Star,
+  History,
+  LogOut,
+  ShieldAlert,
+  BarChart3,
+} from "lucide-react";
 import axios from "axios";
 import ChatHistory from "./ChatHistory";
+import Dashboard from "./Dashboard";
+import SessionSidebar from "./SessionSidebar";
+import FeedbackForm from "./FeedbackForm";
+import CollectionPicker from "./CollectionPicker";
+import RevisionPicker from "./RevisionPicker";
+import IngestionBanner from "./IngestionBanner";
+import { streamChat } from "./streamChat";
 
-function App() {
+const SESSION_STORAGE_KEY = "sessionId";
+const COLLECTIONS_STORAGE_KEY = "collections";
+const LOW_RATING = 2; // Ratings at or below this ask what went wrong
+
+// Readable names for the kinds of patient details the server redacts
+const REDACTION_LABELS = {
+  NAME: "names",
+  MRN: "medical record numbers",
+  DOB: "dates of birth",
+  DATE: "dates",
+  PHONE: "phone numbers",
+  NATIONAL_ID: "national IDs",
+  EMAIL: "email addresses",
+};
+
+const createSessionId = () =>
+  `sess_${Date.now()}_${Math.random().toString(36).substring(2)}`;
+
+// Stored chats become a user message followed by the bot's answer
+const toMessages = (chats) =>
+  chats.flatMap((chat) => [
+    {
+      id: `${chat.messageId}-question`,
+      type: "user",
+      content: chat.question,
+      redactions: chat.redactions || [],
+    },
+    {
+      id: chat.messageId,
+      type: "bot",
+      content: chat.answer,
+      pageNumbers: chat.pageNumbers || [],
+      sources: chat.sources || [],
+      messageId: chat.messageId,
+      rating: chat.rating,
+      feedback: chat.feedback,
+    },
+  ]);
+
+function App({ user, onLogout }) {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState("");
   const [loading, setLoading] = useState(false);
   const [showHistory, setShowHistory] = useState(false); // New state for history view
-  const [sessionId] = useState(
-    () => `sess_${Date.now()}_${Math.random().toString(36).substring(2)}`
-  );
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [activeCitation, setActiveCitation] = useState(null); // { msgId, sourceId } of the open footnote
+  const [sessionId, setSessionId] = useState(
+    () => localStorage.getItem(SESSION_STORAGE_KEY) || createSessionId()
+  ); // Persisted so a refresh continues the same conversation
+  const [sessionsRefreshKey, setSessionsRefreshKey] = useState(0);
+  const [selectedCollections, setSelectedCollections] = useState(() =>
+    JSON.parse(localStorage.getItem(COLLECTIONS_STORAGE_KEY) || "[]")
+  ); // Manuals to search; empty searches all of them
+  const [selectedRevisions, setSelectedRevisions] = useState([]); // Earlier editions to ask about
+  const [ingestionCheckKey, setIngestionCheckKey] = useState(0);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
 
@@ -25,9 +89,48 @@ function App() {
     inputRef.current?.focus();
   }, []);
 
+  useEffect(() => {
+    localStorage.setItem(
+      COLLECTIONS_STORAGE_KEY,
+      JSON.stringify(selectedCollections)
+    );
+  }, [selectedCollections]);
+
+  // Load the current session's messages whenever the session changes
+  useEffect(() => {
+    localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+    let ignore = false;
+
+    const loadSession = async () => {
+      try {
+        const response = await axios.get(
+          `${API_BASE_URL}/api/sessions/${sessionId}`
+        );
+        if (!ignore && response.data.success) {
+          setMessages(toMessages(response.data.messages));
+        }
+      } catch (error) {
+        // A new session has no messages yet
+        if (error.response?.status !== 404) {
+          console.error("Session load error:", error);
+        }
+      }
+    };
+
+    setMessages([]);
+    loadSession();
+    return () => {
+      ignore = true;
+    };
+  }, [API_BASE_URL, sessionId]);
+
   // If showing history, render ChatHistory component
   if (showHistory) {
-    return <ChatHistory onBack={() => setShowHistory(false)} />;
+    return <ChatHistory user={user} onBack={() => setShowHistory(false)} />;
+  }
+
+  if (showDashboard) {
+    return <Dashboard onBack={() => setShowDashboard(false)} />;
   }
 
   const sendMessage = async () => {
@@ -43,38 +146,85 @@ function App() {
     setInput("");
     setLoading(true);
 
+    const botId = Date.now() + 1;
+    setMessages((prev) => [
+      ...prev,
+      {
+        id: botId,
+        type: "bot",
+        content: "",
+        pageNumbers: [],
+        streaming: true,
+        rating: null,
+      },
+    ]);
+
+    const updateBotMessage = (update) =>
+      setMessages((prev) =>
+        prev.map((msg) => (msg.id === botId ? { ...msg, ...update(msg) } : msg))
+      );
+
     try {
-      // Updated API call with base URL
-      const response = await axios.post(`${API_BASE_URL}/api/chat`, {
-        message: input.trim(),
-        sessionId,
-      });
+      // Stream the answer so it renders while it is being generated
+      const result = await streamChat(
+        `${API_BASE_URL}/api/chat/stream`,
+        {
+          message: input.trim(),
+          sessionId,
+          collections: selectedCollections,
+          revisions: selectedRevisions,
+        },
+        {
+          // Sources arrive before the answer, so citations are clickable while it streams
+          onSources: (sources) => updateBotMessage(() => ({ sources })),
+          onToken: (token) =>
+            updateBotMessage((msg) => ({ content: msg.content + token })),
+        }
+      );
 
-      if (response.data.success) {
-        const botMessage = {
-          id: Date.now() + 1,
-          type: "bot",
-          content: response.data.answer,
-          pageNumbers: response.data.pageNumbers || [],
-          messageId: response.data.messageId,
-          consistent: response.data.consistent || false,
-          rating: null,
-        };
-        setMessages((prev) => [...prev, botMessage]);
+      // Show the question as it was actually sent, with patient details removed
+      if (result.redactions?.length > 0) {
+        setMessages((prev) =>
+          prev.map((msg) =>
+            msg.id === userMessage.id
+              ? {
+                  ...msg,
+                  content: result.question,
+                  redactions: result.redactions,
+                }
+              : msg
+          )
+        );
       }
+
+      updateBotMessage(() => ({
+        content: result.answer,
+        pageNumbers: result.pageNumbers || [],
+        sources: result.sources || [],
+        messageId: result.messageId,
+        consistent: result.consistent || false,
+        streaming: false,
+      }));
     } catch (error) {
       console.error("API Error:", error);
-      setMessages((prev) => [
-        ...prev,
-        {
-          id: Date.now() + 1,
-          type: "bot",
-          content: "## Error\n\nSorry, something went wrong. Please try again.",
-          pageNumbers: [],
-        },
-      ]);
+      // Refused while the knowledge base loads: the banner explains, and the
+      // question goes back into the input to send again later
+      if (error.updating) {
+        setMessages((prev) =>
+          prev.filter((msg) => msg.id !== userMessage.id && msg.id !== botId)
+        );
+        setInput(userMessage.content);
+        setIngestionCheckKey((key) => key + 1);
+        return;
+      }
+      updateBotMessage(() => ({
+        content: "## Error\n\nSorry, something went wrong. Please try again.",
+        pageNumbers: [],
+        streaming: false,
+      }));
     } finally {
       setLoading(false);
+      setSessionsRefreshKey((key) => key + 1);
       inputRef.current?.focus();
     }
   };
@@ -89,7 +239,9 @@ function App() {
       });
       setMessages((prev) =>
         prev.map((msg) =>
-          msg.messageId === messageId ? { ...msg, rating } : msg
+          msg.messageId === messageId
+            ? { ...msg, rating, feedbackOpen: rating <= LOW_RATING }
+            : msg
         )
       );
     } catch (error) {
@@ -97,7 +249,40 @@ function App() {
     }
   };
 
-  const renderText = (rawText) => {
+  const submitFeedback = async (messageId, { categories, comment }) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/feedback`, {
+        messageId,
+        categories,
+        comment,
+      });
+      // The comment as stored, with any patient details redacted
+      const saved = response.data.comment ?? comment;
+      setMessages((prev) =>
+        prev.map((msg) =>
+          msg.messageId === messageId
+            ? {
+                ...msg,
+                feedback: { categories, comment: saved },
+                feedbackOpen: false,
+              }
+            : msg
+        )
+      );
+    } catch (error) {
+      console.error("Feedback error:", error);
+    }
+  };
+
+  const closeFeedback = (messageId) => {
+    setMessages((prev) =>
+      prev.map((msg) =>
+        msg.messageId === messageId ? { ...msg, feedbackOpen: false } : msg
+      )
+    );
+  };
+
+  const renderText = (rawText, msg) => {
     let processedText = rawText;
 
     // Force structure if missing
@@ -136,7 +321,7 @@ function App() {
               <div key={idx} className="flex items-start py-1.5 ml-2">
                 <div className="w-2 h-2 bg-lime-500 rounded-full mt-2.5 mr-4 flex-shrink-0"></div>
                 <div className="text-gray-800 text-sm leading-6 flex-1">
-                  {formatInline(trimmed.slice(2))}
+                  {formatInline(trimmed.slice(2), msg)}
                 </div>
               </div>
             );
@@ -146,7 +331,7 @@ function App() {
           return (
             <div key={idx} className="py-2">
               <p className="text-gray-800 text-sm leading-6">
-                {formatInline(trimmed)}
+                {formatInline(trimmed, msg)}
               </p>
             </div>
           );
@@ -155,8 +340,8 @@ function App() {
     );
   };
 
-  const formatInline = (text) => {
-    return text.split(/(\*\*[^*]+\*\*)/).map((part, i) => {
+  const formatInline = (text, msg) => {
+    return text.split(/(\*\*[^*]+\*\*|\[\d+\])/).map((part, i) => {
       if (part.startsWith("**") && part.endsWith("**")) {
         return (
           <span
@@ -167,10 +352,60 @@ function App() {
           </span>
         );
       }
+      const citation = part.match(/^\[(\d+)\]$/);
+      if (citation) {
+        return renderCitation(Number(citation[1]), msg, i);
+      }
       return <span key={i}>{part}</span>;
     });
   };
 
+  // Inline [n] marker; clickable once the answer's sources have arrived
+  const renderCitation = (sourceId, msg, key) => {
+    const source = msg?.sources?.find((s) => s.id === sourceId);
+    if (!source) {
+      return (
+        <sup key={key} className="text-xs text-gray-400 ml-0.5">
+          [{sourceId}]
+        </sup>
+      );
+    }
+
+    const active =
+      activeCitation?.msgId === msg.id && activeCitation?.sourceId === sourceId;
+    return (
+      <sup key={key} className="ml-0.5">
+        <button
+          onClick={() => toggleCitation(msg.id, sourceId)}
+          title={`${source.document}, ${pageLabel(source)}`}
+          className={`text-xs font-semibold px-1 rounded transition-colors ${
+            active
+              ? "bg-blue-600 text-white"
+              : "text-blue-700 bg-blue-100 hover:bg-blue-200"
+          }`}
+        >
+          {sourceId}
+        </button>
+      </sup>
+    );
+  };
+
+  const toggleCitation = (msgId, sourceId) => {
+    setActiveCitation((prev) =>
+      prev?.msgId === msgId && prev?.sourceId === sourceId
+        ? null
+        : { msgId, sourceId }
+    );
+  };
+
+  // Documents without pages (Word, HTML, Markdown) are cited by section
+  const pageLabel = (source) =>
+    !source.pageStart
+      ? source.section || "page unknown"
+      : source.pageEnd && source.pageEnd !== source.pageStart
+      ? `pages ${source.pageStart}-${source.pageEnd}`
+      : `page ${source.pageStart}`;
+
   const handleKeyPress = (e) => {
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
@@ -200,11 +435,19 @@ function App() {
     );
   };
 
+  // A streaming answer appears once its sources or first token arrive
+  const visibleMessages = messages.filter(
+    (msg) => !(msg.streaming && !msg.content && !msg.sources?.length)
+  );
+  const foundSources = messages.some(
+    (msg) => msg.streaming && msg.sources?.length > 0
+  );
+
   return (
     <div className="min-h-screen bg-gray-100">
       {/* Header */}
       <div className="bg-white border-b shadow-sm py-5">
-        <div className="max-w-4xl mx-auto px-6">
+        <div className="max-w-6xl mx-auto px-6">
           <div className="flex items-center justify-between">
             {/* Left side - Logo and title */}
             <div className="flex items-center space-x-3">
@@ -221,21 +464,51 @@ function App() {
               </div>
             </div>
 
-            {/* Right side - Show All Chats button */}
-            <button
-              onClick={() => setShowHistory(true)}
-              className="flex items-center space-x-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-xl font-medium transition-colors shadow-sm"
-            >
-              <History className="w-4 h-4" />
-              <span>Show All Chats</span>
-            </button>
+            {/* Right side - Show All Chats button and signed-in user */}
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={() => setShowHistory(true)}
+                className="flex items-center space-x-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-xl font-medium transition-colors shadow-sm"
+              >
+                <History className="w-4 h-4" />
+                <span>Show All Chats</span>
+              </button>
+              {(user.role === "reviewer" || user.role === "admin") && (
+                <button
+                  onClick={() => setShowDashboard(true)}
+                  className="flex items-center space-x-2 bg-white hover:bg-gray-50 text-blue-600 border border-blue-200 px-4 py-2 rounded-xl font-medium transition-colors shadow-sm"
+                >
+                  <BarChart3 className="w-4 h-4" />
+                  <span>Analytics</span>
+                </button>
+              )}
+              <div className="text-right">
+                <p className="text-sm font-medium text-gray-800">
+                  {user.name || user.email}
+                </p>
+                <p className="text-xs text-gray-500 capitalize">{user.role}</p>
+              </div>
+              <button
+                onClick={onLogout}
+                title="Log out"
+                className="p-2 rounded-xl text-gray-600 hover:text-red-600 hover:bg-red-50 transition-colors"
+              >
+                <LogOut className="w-5 h-5" />
+              </button>
+            </div>
           </div>
         </div>
       </div>
 
-      {/* Chat Container - Exactly same as before */}
-      <div className="max-w-4xl mx-auto p-4">
-        <div className="bg-white rounded-2xl shadow-lg border h-[650px] flex flex-col">
+      {/* Chat Container with past sessions alongside */}
+      <div className="max-w-6xl mx-auto p-4 flex space-x-4">
+        <SessionSidebar
+          activeSessionId={sessionId}
+          onSelect={(id) => !loading && setSessionId(id)}
+          onNewChat={() => !loading && setSessionId(createSessionId())}
+          refreshKey={sessionsRefreshKey}
+        />
+        <div className="flex-1 min-w-0 bg-white rounded-2xl shadow-lg border h-[650px] flex flex-col">
           {/* Messages Area */}
           <div className="flex-1 overflow-y-auto p-6 space-y-6 chat-scroll bg-gray-50">
             {messages.length === 0 ? (
@@ -271,7 +544,7 @@ function App() {
                 </div>
               </div>
             ) : (
-              messages.map((msg) => (
+              visibleMessages.map((msg) => (
                 <div
                   key={msg.id}
                   className={`flex ${
@@ -305,24 +578,67 @@ function App() {
                     {/* Content */}
                     <div>
                       {msg.type === "user" ? (
-                        <p className="text-white leading-relaxed">
-                          {msg.content}
-                        </p>
+                        <>
+                          <p className="text-white leading-relaxed">
+                            {msg.content}
+                          </p>
+                          {msg.redactions?.length > 0 && (
+                            <div className="mt-3 flex items-start space-x-2 bg-yellow-100 text-yellow-900 rounded-lg px-3 py-2 text-xs">
+                              <ShieldAlert className="w-4 h-4 flex-shrink-0" />
+                              <span>
+                                Patient details (
+                                {msg.redactions
+                                  .map(
+                                    (r) =>
+                                      REDACTION_LABELS[r.type] ||
+                                      r.type.toLowerCase()
+                                  )
+                                  .join(", ")}
+                                ) were removed before your question was sent.
+                                Please don't include patient identifiers.
+                              </span>
+                            </div>
+                          )}
+                        </>
                       ) : (
-                        renderText(msg.content)
+                        renderText(msg.content, msg)
                       )}
                     </div>
 
-                    {/* Page References - Commented out as in original
-                    {msg.pageNumbers?.length > 0 && (
-                      <div className="mt-5 pt-4 border-t border-gray-100">
-                        <div className="bg-blue-50 rounded-lg px-4 py-3 border border-blue-200">
-                          <p className="text-xs font-semibold text-blue-800">
-                            📄 References: Page {msg.pageNumbers.join(', ')}
-                          </p>
-                        </div>
+                    {/* Cited Sources */}
+                    {msg.sources?.length > 0 && (
+                      <div className="mt-5 pt-4 border-t border-gray-100 space-y-2">
+                        <p className="text-xs font-semibold text-gray-600 uppercase">
+                          Sources
+                        </p>
+                        {msg.sources.map((source) => {
+                          const active =
+                            activeCitation?.msgId === msg.id &&
+                            activeCitation?.sourceId === source.id;
+                          return (
+                            <button
+                              key={source.id}
+                              onClick={() => toggleCitation(msg.id, source.id)}
+                              className={`block w-full text-left rounded-lg px-4 py-3 border text-xs transition-colors ${
+                                active
+                                  ? "bg-blue-50 border-blue-300"
+                                  : "bg-gray-50 border-gray-200 hover:bg-blue-50"
+                              }`}
+                            >
+                              <span className="font-semibold text-blue-800">
+                                📄 [{source.id}] {source.document},{" "}
+                                {pageLabel(source)}
+                              </span>
+                              {active && source.snippet && (
+                                <p className="mt-2 text-gray-700 italic leading-5">
+                                  "{source.snippet}"
+                                </p>
+                              )}
+                            </button>
+                          );
+                        })}
                       </div>
-                    )} */}
+                    )}
 
                     {/* Rating */}
                     {msg.type === "bot" && msg.messageId && (
@@ -334,7 +650,9 @@ function App() {
                           <div className="flex items-center space-x-2">
                             <StarRating rating={msg.rating} readonly />
                             <span className="text-xs text-gray-600">
-                              Thanks!
+                              {msg.feedback
+                                ? "Thanks for the details!"
+                                : "Thanks!"}
                             </span>
                           </div>
                         ) : (
@@ -344,27 +662,49 @@ function App() {
                         )}
                       </div>
                     )}
+                    {msg.type === "bot" && msg.feedbackOpen && (
+                      <FeedbackForm
+                        onSubmit={(feedback) =>
+                          submitFeedback(msg.messageId, feedback)
+                        }
+                        onSkip={() => closeFeedback(msg.messageId)}
+                      />
+                    )}
                   </div>
                 </div>
               ))
             )}
 
-            {loading && (
-              <div className="flex justify-start">
-                <div className="bg-white border rounded-2xl px-6 py-4 flex items-center space-x-3 shadow-sm">
-                  <Bot className="w-4 h-4 text-blue-600" />
-                  <Loader className="w-4 h-4 animate-spin text-gray-500" />
-                  <span className="text-sm text-gray-600">
-                    Searching guidelines...
-                  </span>
+            {loading &&
+              !messages.some((msg) => msg.streaming && msg.content) && (
+                <div className="flex justify-start">
+                  <div className="bg-white border rounded-2xl px-6 py-4 flex items-center space-x-3 shadow-sm">
+                    <Bot className="w-4 h-4 text-blue-600" />
+                    <Loader className="w-4 h-4 animate-spin text-gray-500" />
+                    <span className="text-sm text-gray-600">
+                      {foundSources
+                        ? "Writing the answer..."
+                        : "Searching guidelines..."}
+                    </span>
+                  </div>
                 </div>
-              </div>
-            )}
+              )}
             <div ref={messagesEndRef} />
           </div>
 
           {/* Input Area - Exactly same as before */}
           <div className="border-t p-6 bg-white">
+            <IngestionBanner checkKey={ingestionCheckKey} />
+            <CollectionPicker
+              selected={selectedCollections}
+              onChange={setSelectedCollections}
+              disabled={loading}
+            />
+            <RevisionPicker
+              selected={selectedRevisions}
+              onChange={setSelectedRevisions}
+              disabled={loading}
+            />
             <div className="flex space-x-4">
               <textarea
                 ref={inputRef}
@@ -0,0 +1,52 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import App from "./App";
+import Login from "./Login";
+import { getStoredAuth, saveAuth, clearAuth } from "./auth";
+
+// Shows the login screen until there is a valid token, then the app
+function AuthGate() {
+  const [user, setUser] = useState(() => getStoredAuth()?.user || null);
+
+  const handleLogin = (token, loggedInUser) => {
+    saveAuth(token, loggedInUser);
+    setUser(loggedInUser);
+  };
+
+  const handleLogout = () => {
+    clearAuth();
+    setUser(null);
+  };
+
+  // Expired or revoked tokens send the user back to the login screen
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        if (error.response?.status === 401) {
+          window.dispatchEvent(new Event("auth:expired"));
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    const onExpired = () => {
+      clearAuth();
+      setUser(null);
+    };
+    window.addEventListener("auth:expired", onExpired);
+
+    return () => {
+      axios.interceptors.response.eject(interceptor);
+      window.removeEventListener("auth:expired", onExpired);
+    };
+  }, []);
+
+  if (!user) {
+    return <Login onLogin={handleLogin} />;
+  }
+
+  return <App user={user} onLogout={handleLogout} />;
+}
+
+export default AuthGate;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
 import {
   ArrowLeft,
   Star,
@@ -6,38 +6,166 @@ import {
   MessageCircle,
   CheckCircle,
   XCircle,
+  Search,
+  Loader,
+  MessageSquareWarning,
+  PencilLine,
 } from "lucide-react";
 import axios from "axios";
+import { categoryLabel } from "./feedbackCategories";
 
-function ChatHistory({ onBack }) {
+const PAGE_SIZE = 20;
+
+const EMPTY_FILTERS = {
+  q: "",
+  from: "",
+  to: "",
+  minRating: "",
+  maxRating: "",
+  success: "",
+  sessionId: "",
+};
+
+function ChatHistory({ user, onBack }) {
   const [chats, setChats] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [initialLoad, setInitialLoad] = useState(true);
   const [error, setError] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS); // Form values
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS); // Used for requests
+  const [correctionDraft, setCorrectionDraft] = useState(null); // { messageId, answer } being edited
+  const [savingCorrection, setSavingCorrection] = useState(false);
+  const sentinelRef = useRef(null);
+
+  const canCorrect = user?.role === "reviewer" || user?.role === "admin";
 
   // API Base URL configuration for production
   const API_BASE_URL = `${import.meta.env.VITE_API_URL}` || "";
 
+  const fetchChatHistory = useCallback(
+    async (cursor = null) => {
+      const params = { limit: PAGE_SIZE };
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value !== "") params[key] = value;
+      });
+      if (cursor) params.cursor = cursor;
+
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/chats`, {
+          params,
+        });
+        if (response.data.success) {
+          setChats((prev) =>
+            cursor ? [...prev, ...response.data.chats] : response.data.chats
+          );
+          setTotal(response.data.total);
+          setNextCursor(response.data.nextCursor);
+        } else {
+          setError("Failed to load chat history");
+        }
+      } catch (error) {
+        console.error("Error fetching chat history:", error);
+        setError("Failed to load chat history. Please check your connection.");
+      } finally {
+        setLoading(false);
+        setLoadingMore(false);
+        setInitialLoad(false);
+      }
+    },
+    [API_BASE_URL, appliedFilters]
+  );
+
+  // First page whenever the applied filters change
   useEffect(() => {
+    setLoading(true);
+    setNextCursor(null);
     fetchChatHistory();
-  }, []);
+  }, [fetchChatHistory]);
 
-  const fetchChatHistory = async () => {
-    try {
-      // Updated API call with base URL
-      const response = await axios.get(`${API_BASE_URL}/api/chats`);
-      if (response.data.success) {
-        setChats(response.data.chats);
-      } else {
-        setError("Failed to load chat history");
+  // Infinite scroll: load the next page when the sentinel comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || loading || loadingMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        setLoadingMore(true);
+        fetchChatHistory(nextCursor);
       }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loading, loadingMore, fetchChatHistory]);
+
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setAppliedFilters(filters);
+  };
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const saveCorrection = async () => {
+    const { messageId, answer } = correctionDraft;
+    setSavingCorrection(true);
+    try {
+      const response = await axios.put(
+        `${API_BASE_URL}/api/feedback/${messageId}/correction`,
+        { answer }
+      );
+      setChats((prev) =>
+        prev.map((chat) =>
+          chat.messageId === messageId
+            ? { ...chat, correction: response.data.correction }
+            : chat
+        )
+      );
+      setCorrectionDraft(null);
     } catch (error) {
-      console.error("Error fetching chat history:", error);
-      setError("Failed to load chat history. Please check your connection.");
+      console.error("Correction error:", error);
+      setCorrectionDraft((draft) => ({
+        ...draft,
+        error: "Failed to save the correction. Please try again.",
+      }));
     } finally {
-      setLoading(false);
+      setSavingCorrection(false);
     }
   };
 
+  const searchTerms = appliedFilters.q
+    .split(/\s+/)
+    .map((term) => term.replace(/^["-]+|"+$/g, ""))
+    .filter((term) => term.length > 1);
+
+  // Wrap search matches in <mark> so they stand out
+  const highlight = (text) => {
+    if (!text || searchTerms.length === 0) return text;
+
+    const escaped = searchTerms.map((term) =>
+      term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    );
+    const pattern = new RegExp(`(${escaped.join("|")})`, "gi");
+
+    return text.split(pattern).map((part, i) =>
+      i % 2 === 1 ? (
+        <mark key={i} className="bg-yellow-200 rounded px-0.5">
+          {part}
+        </mark>
+      ) : (
+        part
+      )
+    );
+  };
+
   const StarRating = ({ rating }) => {
     if (!rating)
       return <span className="text-xs text-gray-400">Not rated</span>;
@@ -85,7 +213,7 @@ function ChatHistory({ onBack }) {
                 key={idx}
                 className="font-semibold text-blue-700 text-sm mt-2 mb-1"
               >
-                {trimmed.replace("## ", "")}
+                {highlight(trimmed.replace("## ", ""))}
               </h3>
             );
           }
@@ -96,7 +224,7 @@ function ChatHistory({ onBack }) {
               <div key={idx} className="flex items-start ml-2">
                 <div className="w-1.5 h-1.5 bg-lime-500 rounded-full mt-2 mr-2 flex-shrink-0"></div>
                 <p className="text-xs text-gray-700 leading-relaxed flex-1">
-                  {trimmed.slice(2)}
+                  {highlight(trimmed.slice(2))}
                 </p>
               </div>
             );
@@ -105,7 +233,7 @@ function ChatHistory({ onBack }) {
           // Regular paragraphs
           return (
             <p key={idx} className="text-xs text-gray-700 leading-relaxed">
-              {trimmed}
+              {highlight(trimmed)}
             </p>
           );
         })}
@@ -119,7 +247,11 @@ function ChatHistory({ onBack }) {
     fetchChatHistory();
   };
 
-  if (loading) {
+  const hasFilters = Object.values(appliedFilters).some(
+    (value) => value !== ""
+  );
+
+  if (initialLoad) {
     return (
       <div className="min-h-screen bg-gray-100 flex items-center justify-center">
         <div className="bg-white rounded-xl p-8 shadow-lg">
@@ -180,7 +312,7 @@ function ChatHistory({ onBack }) {
                     Chat History
                   </h1>
                   <p className="text-sm text-gray-600">
-                    {chats.length} total conversations
+                    {total} {hasFilters ? "matching" : "total"} conversations
                   </p>
                 </div>
               </div>
@@ -189,9 +321,136 @@ function ChatHistory({ onBack }) {
         </div>
       </div>
 
+      {/* Filters */}
+      <div className="max-w-6xl mx-auto px-6 pt-6">
+        <form
+          onSubmit={applyFilters}
+          className="bg-white rounded-xl shadow-sm border p-4 space-y-3"
+        >
+          <div className="flex space-x-3">
+            <div className="flex-1 flex items-center border border-gray-300 rounded-lg px-3 focus-within:ring-2 focus-within:ring-blue-500">
+              <Search className="w-4 h-4 text-gray-400" />
+              <input
+                type="text"
+                value={filters.q}
+                onChange={(e) => updateFilter("q", e.target.value)}
+                placeholder="Search questions and answers..."
+                className="flex-1 px-2 py-2 text-sm focus:outline-none"
+              />
+            </div>
+            <button
+              type="submit"
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-blue-700 transition-colors"
+            >
+              Apply
+            </button>
+            <button
+              type="button"
+              onClick={resetFilters}
+              className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg text-sm hover:bg-gray-200 transition-colors"
+            >
+              Reset
+            </button>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3 text-xs text-gray-600">
+            <label className="flex flex-col space-y-1">
+              <span>From</span>
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => updateFilter("from", e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-1.5"
+              />
+            </label>
+            <label className="flex flex-col space-y-1">
+              <span>To</span>
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => updateFilter("to", e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-1.5"
+              />
+            </label>
+            <label className="flex flex-col space-y-1">
+              <span>Min rating</span>
+              <select
+                value={filters.minRating}
+                onChange={(e) => updateFilter("minRating", e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-1.5"
+              >
+                <option value="">Any</option>
+                {[1, 2, 3, 4, 5].map((n) => (
+                  <option key={n} value={n}>
+                    {n}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col space-y-1">
+              <span>Max rating</span>
+              <select
+                value={filters.maxRating}
+                onChange={(e) => updateFilter("maxRating", e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-1.5"
+              >
+                <option value="">Any</option>
+                {[1, 2, 3, 4, 5].map((n) => (
+                  <option key={n} value={n}>
+                    {n}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col space-y-1">
+              <span>Status</span>
+              <select
+                value={filters.success}
+                onChange={(e) => updateFilter("success", e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-1.5"
+              >
+                <option value="">All</option>
+                <option value="true">Success</option>
+                <option value="false">Error</option>
+              </select>
+            </label>
+            <label className="flex flex-col space-y-1">
+              <span>Session ID</span>
+              <input
+                type="text"
+                value={filters.sessionId}
+                onChange={(e) => updateFilter("sessionId", e.target.value)}
+                placeholder="sess_..."
+                className="border border-gray-300 rounded-lg px-2 py-1.5"
+              />
+            </label>
+          </div>
+        </form>
+      </div>
+
       {/* Chat History List */}
       <div className="max-w-6xl mx-auto p-6">
-        {chats.length === 0 ? (
+        {loading ? (
+          <div className="flex items-center justify-center space-x-3 py-12 text-gray-600">
+            <Loader className="w-5 h-5 animate-spin" />
+            <span>Loading chat history...</span>
+          </div>
+        ) : chats.length === 0 && hasFilters ? (
+          <div className="bg-white rounded-xl p-12 text-center shadow-sm">
+            <Search className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+            <h2 className="text-lg font-semibold text-gray-800 mb-2">
+              No Matching Chats
+            </h2>
+            <p className="text-gray-600 mb-4">
+              Try a different search or clear the filters.
+            </p>
+            <button
+              onClick={resetFilters}
+              className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Clear Filters
+            </button>
+          </div>
+        ) : chats.length === 0 ? (
           <div className="bg-white rounded-xl p-12 text-center shadow-sm">
             <MessageCircle className="w-16 h-16 text-gray-400 mx-auto mb-4" />
             <h2 className="text-lg font-semibold text-gray-800 mb-2">
@@ -255,8 +514,27 @@ function ChatHistory({ onBack }) {
                       </span>
                     </div>
                     <p className="text-sm text-gray-800 font-medium bg-blue-50 p-3 rounded-lg">
-                      {chat.question}
+                      {highlight(chat.question)}
                     </p>
+                    {chat.searchQuery && chat.searchQuery !== chat.question && (
+                      <p className="text-xs text-gray-500 mt-1 px-3">
+                        Searched as:{" "}
+                        <span className="italic">{chat.searchQuery}</span>
+                      </p>
+                    )}
+                    {chat.revisions?.length > 0 && (
+                      <p className="text-xs text-gray-500 mt-1 px-3">
+                        Earlier edition:{" "}
+                        {chat.revisions
+                          .map(
+                            (revision) =>
+                              `${revision.filename}${
+                                revision.label ? ` (${revision.label})` : ""
+                              }`
+                          )
+                          .join(", ")}
+                      </p>
+                    )}
                   </div>
 
                   {/* Answer */}
@@ -274,6 +552,120 @@ function ChatHistory({ onBack }) {
                     </div>
                   </div>
 
+                  {/* User Feedback */}
+                  {(chat.feedback?.categories?.length > 0 ||
+                    chat.feedback?.comment) && (
+                    <div className="mb-4 bg-orange-50 border border-orange-200 rounded-lg px-4 py-3">
+                      <div className="flex items-center space-x-2 mb-2">
+                        <MessageSquareWarning className="w-3 h-3 text-orange-600" />
+                        <span className="text-xs font-semibold text-gray-700 uppercase">
+                          Feedback
+                        </span>
+                        {chat.feedback.categories.map((category) => (
+                          <span
+                            key={category}
+                            className="text-xs px-2 py-0.5 rounded-full bg-orange-100 text-orange-800"
+                          >
+                            {categoryLabel(category)}
+                          </span>
+                        ))}
+                      </div>
+                      {chat.feedback.comment && (
+                        <p className="text-sm text-gray-700 italic">
+                          "{chat.feedback.comment}"
+                        </p>
+                      )}
+                    </div>
+                  )}
+
+                  {/* Reviewer Correction */}
+                  {correctionDraft?.messageId === chat.messageId ? (
+                    <div className="mb-4 space-y-2">
+                      <textarea
+                        value={correctionDraft.answer}
+                        onChange={(e) =>
+                          setCorrectionDraft({
+                            ...correctionDraft,
+                            answer: e.target.value,
+                          })
+                        }
+                        placeholder="Write the corrected answer..."
+                        rows={5}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        autoFocus
+                      />
+                      {correctionDraft.error && (
+                        <p className="text-xs text-red-600">
+                          {correctionDraft.error}
+                        </p>
+                      )}
+                      <div className="flex justify-end space-x-2">
+                        <button
+                          onClick={() => setCorrectionDraft(null)}
+                          className="text-xs px-3 py-1.5 rounded-lg text-gray-600 hover:bg-gray-100"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          onClick={saveCorrection}
+                          disabled={savingCorrection}
+                          className="flex items-center space-x-1 text-xs px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-400"
+                        >
+                          {savingCorrection && (
+                            <Loader className="w-3 h-3 animate-spin" />
+                          )}
+                          <span>Save correction</span>
+                        </button>
+                      </div>
+                    </div>
+                  ) : chat.correction?.answer ? (
+                    <div className="mb-4 bg-purple-50 border border-purple-200 rounded-lg px-4 py-3">
+                      <div className="flex items-center justify-between mb-2">
+                        <div className="flex items-center space-x-2">
+                          <PencilLine className="w-3 h-3 text-purple-600" />
+                          <span className="text-xs font-semibold text-gray-700 uppercase">
+                            Proposed correction
+                          </span>
+                          <span className="text-xs text-gray-500">
+                            by {chat.correction.proposedByName},{" "}
+                            {formatDate(chat.correction.proposedAt)}
+                          </span>
+                        </div>
+                        {canCorrect && (
+                          <button
+                            onClick={() =>
+                              setCorrectionDraft({
+                                messageId: chat.messageId,
+                                answer: chat.correction.answer,
+                              })
+                            }
+                            className="text-xs text-purple-700 hover:underline"
+                          >
+                            Edit
+                          </button>
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-800 whitespace-pre-line">
+                        {chat.correction.answer}
+                      </p>
+                    </div>
+                  ) : (
+                    canCorrect && (
+                      <button
+                        onClick={() =>
+                          setCorrectionDraft({
+                            messageId: chat.messageId,
+                            answer: "",
+                          })
+                        }
+                        className="mb-4 flex items-center space-x-1 text-xs text-purple-700 hover:underline"
+                      >
+                        <PencilLine className="w-3 h-3" />
+                        <span>Propose a correction</span>
+                      </button>
+                    )
+                  )}
+
                   {/* Page References */}
                   {chat.pageNumbers && chat.pageNumbers.length > 0 && (
                     <div className="mt-4 pt-4 border-t border-gray-100">
@@ -299,6 +691,15 @@ function ChatHistory({ onBack }) {
                 </div>
               </div>
             ))}
+
+            {/* Infinite scroll sentinel */}
+            <div ref={sentinelRef} />
+            {loadingMore && (
+              <div className="flex items-center justify-center space-x-2 py-4 text-sm text-gray-500">
+                <Loader className="w-4 h-4 animate-spin" />
+                <span>Loading more...</span>
+              </div>
+            )}
           </div>
         )}
       </div>
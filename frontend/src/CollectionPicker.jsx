@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { Library } from "lucide-react";
+
+// Chooses which manuals a question searches; an empty selection means all of
+// them. onChange receives a list or an updater, like a state setter.
+function CollectionPicker({ selected, onChange, disabled }) {
+  const [collections, setCollections] = useState([]);
+
+  const API_BASE_URL = `${import.meta.env.VITE_API_URL}` || "";
+
+  useEffect(() => {
+    const loadCollections = async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/collections`);
+        if (response.data.success) {
+          const available = response.data.collections.filter(
+            (collection) => collection.documentCount > 0
+          );
+          setCollections(available);
+          // Forget selections whose collection no longer exists
+          const slugs = available.map((collection) => collection.slug);
+          onChange((prev) => prev.filter((slug) => slugs.includes(slug)));
+        }
+      } catch (error) {
+        console.error("Collections load error:", error);
+      }
+    };
+
+    loadCollections();
+  }, [API_BASE_URL, onChange]);
+
+  // Nothing to choose from until documents are assigned to collections
+  if (collections.length === 0) return null;
+
+  const toggle = (slug) => {
+    onChange((prev) =>
+      prev.includes(slug)
+        ? prev.filter((value) => value !== slug)
+        : [...prev, slug]
+    );
+  };
+
+  const chipClass = (active) =>
+    `px-3 py-1 rounded-full text-xs border transition-colors disabled:opacity-50 ${
+      active
+        ? "bg-blue-600 border-blue-600 text-white"
+        : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+    }`;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-3">
+      <span className="flex items-center space-x-1 text-xs text-gray-500">
+        <Library className="w-3.5 h-3.5" />
+        <span>Search in:</span>
+      </span>
+      <button
+        type="button"
+        onClick={() => onChange([])}
+        disabled={disabled}
+        className={chipClass(selected.length === 0)}
+      >
+        All manuals
+      </button>
+      {collections.map((collection) => (
+        <button
+          key={collection.slug}
+          type="button"
+          onClick={() => toggle(collection.slug)}
+          disabled={disabled}
+          title={collection.description || undefined}
+          className={chipClass(selected.includes(collection.slug))}
+        >
+          {collection.name}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default CollectionPicker;
@@ -0,0 +1,440 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  ArrowLeft,
+  BarChart3,
+  MessageCircle,
+  Star,
+  XCircle,
+  AlertTriangle,
+  FileText,
+  Loader,
+} from "lucide-react";
+import axios from "axios";
+import { categoryLabel } from "./feedbackCategories";
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const DEFAULT_RANGE = {
+  from: toDateInput(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)),
+  to: toDateInput(new Date()),
+  interval: "day",
+};
+
+const percent = (rate) => `${Math.round(rate * 1000) / 10}%`;
+
+const StatCard = ({ icon, label, value, tone }) => (
+  <div className="bg-white rounded-xl shadow-sm border p-4 flex items-center space-x-3">
+    <div className={`p-2 rounded-lg ${tone}`}>{icon}</div>
+    <div>
+      <p className="text-xs text-gray-500 uppercase font-semibold">{label}</p>
+      <p className="text-xl font-bold text-gray-900">{value}</p>
+    </div>
+  </div>
+);
+
+const Panel = ({ title, children }) => (
+  <div className="bg-white rounded-xl shadow-sm border p-5">
+    <h2 className="text-sm font-semibold text-gray-800 mb-4">{title}</h2>
+    {children}
+  </div>
+);
+
+const EmptyChart = () => (
+  <p className="text-sm text-gray-400 text-center py-8">
+    No data for this period
+  </p>
+);
+
+// Questions per period, with the failed share stacked in red
+const VolumeChart = ({ timeline }) => {
+  if (timeline.length === 0) return <EmptyChart />;
+  const max = Math.max(...timeline.map((row) => row.questions));
+
+  return (
+    <div>
+      <div className="flex items-end h-40 space-x-1">
+        {timeline.map((row) => (
+          <div
+            key={row.period}
+            title={`${row.period}: ${row.questions} questions, ${row.failed} failed`}
+            className="flex-1 flex flex-col justify-end h-full"
+          >
+            <div
+              className="bg-red-400 rounded-t"
+              style={{ height: `${(row.failed / max) * 100}%` }}
+            />
+            <div
+              className={`bg-blue-500 ${row.failed ? "" : "rounded-t"}`}
+              style={{
+                height: `${((row.questions - row.failed) / max) * 100}%`,
+              }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-2">
+        <span>{timeline[0].period}</span>
+        <span>{timeline[timeline.length - 1].period}</span>
+      </div>
+      <div className="flex space-x-4 text-xs text-gray-600 mt-2">
+        <span className="flex items-center space-x-1">
+          <span className="w-3 h-3 bg-blue-500 rounded-sm" />
+          <span>Answered</span>
+        </span>
+        <span className="flex items-center space-x-1">
+          <span className="w-3 h-3 bg-red-400 rounded-sm" />
+          <span>Failed</span>
+        </span>
+      </div>
+    </div>
+  );
+};
+
+// Average rating (1-5) per period as a line; periods without ratings are skipped
+const RatingChart = ({ timeline }) => {
+  const rated = timeline.filter((row) => row.averageRating != null);
+  if (rated.length === 0) return <EmptyChart />;
+
+  const x = (i) => (rated.length === 1 ? 50 : (i / (rated.length - 1)) * 100);
+  const y = (rating) => 100 - ((rating - 1) / 4) * 100;
+  const points = rated
+    .map((row, i) => `${x(i)},${y(row.averageRating)}`)
+    .join(" ");
+
+  return (
+    <div>
+      <div className="flex h-40">
+        <div className="flex flex-col justify-between text-xs text-gray-400 pr-2">
+          <span>5</span>
+          <span>3</span>
+          <span>1</span>
+        </div>
+        <svg
+          viewBox="-2 -2 104 104"
+          preserveAspectRatio="none"
+          className="flex-1 h-full border-l border-b border-gray-200"
+        >
+          <polyline
+            points={points}
+            fill="none"
+            stroke="#eab308"
+            strokeWidth="2"
+            vectorEffect="non-scaling-stroke"
+          />
+          {rated.map((row, i) => (
+            <circle
+              key={row.period}
+              cx={x(i)}
+              cy={y(row.averageRating)}
+              r="1.5"
+              fill="#eab308"
+            >
+              <title>{`${row.period}: ${row.averageRating} (${row.rated} ratings)`}</title>
+            </circle>
+          ))}
+        </svg>
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-2 pl-5">
+        <span>{rated[0].period}</span>
+        <span>{rated[rated.length - 1].period}</span>
+      </div>
+    </div>
+  );
+};
+
+const HorizontalBars = ({ rows }) => {
+  if (rows.length === 0) return <EmptyChart />;
+  const max = Math.max(...rows.map((row) => row.count));
+
+  return (
+    <div className="space-y-2">
+      {rows.map((row) => (
+        <div key={row.key}>
+          <div className="flex justify-between text-xs text-gray-700 mb-1">
+            <span className="truncate pr-2" title={row.label}>
+              {row.label}
+            </span>
+            <span className="font-semibold">{row.count}</span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded">
+            <div
+              className="h-2 bg-blue-500 rounded"
+              style={{ width: `${(row.count / max) * 100}%` }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+function Dashboard({ onBack }) {
+  const [range, setRange] = useState(DEFAULT_RANGE); // Form values
+  const [appliedRange, setAppliedRange] = useState(DEFAULT_RANGE); // Used for requests
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // API Base URL configuration for production
+  const API_BASE_URL = `${import.meta.env.VITE_API_URL}` || "";
+
+  const fetchAnalytics = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    const get = (path) =>
+      axios.get(`${API_BASE_URL}/api/analytics/${path}`, {
+        params: appliedRange,
+      });
+
+    try {
+      const [overview, questions, pages, gaps] = await Promise.all([
+        get("overview"),
+        get("top-questions"),
+        get("top-pages"),
+        get("knowledge-gaps"),
+      ]);
+      setData({
+        totals: overview.data.totals,
+        timeline: overview.data.timeline,
+        questions: questions.data.questions,
+        pages: pages.data.pages,
+        gaps: gaps.data.gaps,
+      });
+    } catch (error) {
+      console.error("Error fetching analytics:", error);
+      setError("Failed to load analytics. Please check your connection.");
+    } finally {
+      setLoading(false);
+    }
+  }, [API_BASE_URL, appliedRange]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  const applyRange = (e) => {
+    e.preventDefault();
+    setAppliedRange(range);
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+    });
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      {/* Header */}
+      <div className="bg-white border-b shadow-sm py-4">
+        <div className="max-w-6xl mx-auto px-6">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-4">
+              <button
+                onClick={onBack}
+                className="flex items-center space-x-2 text-gray-600 hover:text-blue-600 transition-colors"
+              >
+                <ArrowLeft className="w-5 h-5" />
+                <span className="font-medium">Back to Chat</span>
+              </button>
+              <div className="h-6 w-px bg-gray-300"></div>
+              <div className="flex items-center space-x-3">
+                <BarChart3 className="w-6 h-6 text-blue-600" />
+                <div>
+                  <h1 className="text-lg font-bold text-gray-900">
+                    Quality Dashboard
+                  </h1>
+                  <p className="text-sm text-gray-600">
+                    Question volume, ratings and knowledge gaps
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            <form onSubmit={applyRange} className="flex items-end space-x-2">
+              <label className="text-xs text-gray-600">
+                <span>From</span>
+                <input
+                  type="date"
+                  value={range.from}
+                  onChange={(e) => setRange({ ...range, from: e.target.value })}
+                  className="block border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                <span>To</span>
+                <input
+                  type="date"
+                  value={range.to}
+                  onChange={(e) => setRange({ ...range, to: e.target.value })}
+                  className="block border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                <span>Group by</span>
+                <select
+                  value={range.interval}
+                  onChange={(e) =>
+                    setRange({ ...range, interval: e.target.value })
+                  }
+                  className="block border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                >
+                  <option value="day">Day</option>
+                  <option value="week">Week</option>
+                  <option value="month">Month</option>
+                </select>
+              </label>
+              <button
+                type="submit"
+                className="bg-blue-600 text-white px-4 py-1.5 rounded-lg text-sm hover:bg-blue-700 transition-colors"
+              >
+                Apply
+              </button>
+            </form>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-6xl mx-auto p-6">
+        {loading && !data ? (
+          <div className="flex items-center justify-center space-x-2 py-12 text-gray-600">
+            <Loader className="w-5 h-5 animate-spin" />
+            <span>Loading analytics...</span>
+          </div>
+        ) : error ? (
+          <div className="bg-white rounded-xl p-8 shadow-sm text-center">
+            <XCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+            <p className="text-gray-600 mb-4">{error}</p>
+            <button
+              onClick={fetchAnalytics}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Retry
+            </button>
+          </div>
+        ) : (
+          <div className={`space-y-6 ${loading ? "opacity-60" : ""}`}>
+            {/* Totals */}
+            <div className="grid grid-cols-4 gap-4">
+              <StatCard
+                icon={<MessageCircle className="w-5 h-5" />}
+                label="Questions"
+                value={data.totals.questions}
+                tone="bg-blue-100 text-blue-600"
+              />
+              <StatCard
+                icon={<XCircle className="w-5 h-5" />}
+                label="Failure rate"
+                value={percent(data.totals.failureRate)}
+                tone="bg-red-100 text-red-600"
+              />
+              <StatCard
+                icon={<Star className="w-5 h-5" />}
+                label="Average rating"
+                value={
+                  data.totals.averageRating != null
+                    ? `${data.totals.averageRating}/5`
+                    : "–"
+                }
+                tone="bg-yellow-100 text-yellow-600"
+              />
+              <StatCard
+                icon={<Star className="w-5 h-5" />}
+                label="Rated answers"
+                value={data.totals.rated}
+                tone="bg-green-100 text-green-600"
+              />
+            </div>
+
+            {/* Trends */}
+            <div className="grid grid-cols-2 gap-6">
+              <Panel title="Question volume">
+                <VolumeChart timeline={data.timeline} />
+              </Panel>
+              <Panel title="Average rating">
+                <RatingChart timeline={data.timeline} />
+              </Panel>
+            </div>
+
+            {/* Top questions and pages */}
+            <div className="grid grid-cols-2 gap-6">
+              <Panel title="Most-asked questions">
+                <HorizontalBars
+                  rows={data.questions.map((q) => ({
+                    key: q.question,
+                    label: q.question,
+                    count: q.count,
+                  }))}
+                />
+              </Panel>
+              <Panel title="Most-cited pages">
+                <HorizontalBars
+                  rows={data.pages.map((p) => ({
+                    key: `${p.document}-${p.page}`,
+                    label: p.document
+                      ? `${p.document}, page ${p.page}`
+                      : `Page ${p.page}`,
+                    count: p.count,
+                  }))}
+                />
+              </Panel>
+            </div>
+
+            {/* Knowledge gaps */}
+            <Panel title="Knowledge gaps">
+              {data.gaps.length === 0 ? (
+                <EmptyChart />
+              ) : (
+                <div className="divide-y divide-gray-100">
+                  {data.gaps.map((gap) => (
+                    <div key={gap.question} className="py-3 flex space-x-3">
+                      <AlertTriangle className="w-4 h-4 text-orange-500 flex-shrink-0 mt-0.5" />
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-gray-800">
+                          {gap.question}
+                        </p>
+                        <div className="flex flex-wrap items-center gap-2 mt-1 text-xs text-gray-500">
+                          <span>Asked {gap.count}×</span>
+                          {gap.notAvailable > 0 && (
+                            <span className="flex items-center space-x-1">
+                              <FileText className="w-3 h-3" />
+                              <span>
+                                {gap.notAvailable} not in the guidelines
+                              </span>
+                            </span>
+                          )}
+                          {gap.lowRatings > 0 && (
+                            <span>{gap.lowRatings} low ratings</span>
+                          )}
+                          <span>Last {formatDate(gap.lastAskedAt)}</span>
+                          {gap.categories.map((category) => (
+                            <span
+                              key={category}
+                              className="px-2 py-0.5 rounded-full bg-orange-100 text-orange-800"
+                            >
+                              {categoryLabel(category)}
+                            </span>
+                          ))}
+                        </div>
+                        {gap.comments.map((comment, i) => (
+                          <p
+                            key={i}
+                            className="text-xs text-gray-600 italic mt-1"
+                          >
+                            "{comment}"
+                          </p>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </Panel>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Dashboard;
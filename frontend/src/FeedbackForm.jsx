@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import { Loader, MessageSquareWarning } from "lucide-react";
+import { FEEDBACK_CATEGORIES } from "./feedbackCategories";
+
+// Asks what was wrong with an answer after a low rating
+function FeedbackForm({ onSubmit, onSkip }) {
+  const [categories, setCategories] = useState([]);
+  const [comment, setComment] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const toggleCategory = (value) => {
+    setCategories((prev) =>
+      prev.includes(value)
+        ? prev.filter((category) => category !== value)
+        : [...prev, value]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSubmit({ categories, comment: comment.trim() });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canSubmit = categories.length > 0 || comment.trim();
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mt-4 bg-gray-50 border border-gray-200 rounded-xl p-4 space-y-3"
+    >
+      <div className="flex items-center space-x-2 text-sm font-medium text-gray-800">
+        <MessageSquareWarning className="w-4 h-4 text-orange-500" />
+        <span>What was wrong with this answer?</span>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {FEEDBACK_CATEGORIES.map(({ value, label }) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => toggleCategory(value)}
+            className={`text-xs px-3 py-1 rounded-full border transition-colors ${
+              categories.includes(value)
+                ? "bg-orange-100 border-orange-300 text-orange-800"
+                : "bg-white border-gray-300 text-gray-600 hover:bg-gray-100"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Add a comment (optional)"
+        maxLength={2000}
+        rows={2}
+        className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm resize-none focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onSkip}
+          className="text-xs px-3 py-1.5 rounded-lg text-gray-600 hover:bg-gray-100"
+        >
+          Skip
+        </button>
+        <button
+          type="submit"
+          disabled={!canSubmit || saving}
+          className="flex items-center space-x-1 text-xs px-3 py-1.5 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-400"
+        >
+          {saving && <Loader className="w-3 h-3 animate-spin" />}
+          <span>Send feedback</span>
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default FeedbackForm;
@@ -0,0 +1,61 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { RefreshCw } from "lucide-react";
+
+const POLL_INTERVAL = 10000;
+
+// Shown while documents are being ingested. Until the documents found at
+// startup are in, questions are turned away, so this says when to come back.
+// Changing checkKey checks again right away (after a question was refused).
+function IngestionBanner({ checkKey }) {
+  const [ingestion, setIngestion] = useState(null);
+
+  const API_BASE_URL = `${import.meta.env.VITE_API_URL}` || "";
+
+  useEffect(() => {
+    let ignore = false;
+    let timer;
+
+    const checkHealth = async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/health`);
+        if (ignore) return;
+        setIngestion(response.data.ingestion);
+        // Keep checking until the update is over
+        if (response.data.ingestion?.updating) {
+          timer = setTimeout(checkHealth, POLL_INTERVAL);
+        }
+      } catch (error) {
+        console.error("Health check error:", error);
+      }
+    };
+
+    checkHealth();
+    return () => {
+      ignore = true;
+      clearTimeout(timer);
+    };
+  }, [API_BASE_URL, checkKey]);
+
+  if (!ingestion?.updating) return null;
+
+  const { progress } = ingestion;
+
+  return (
+    <div className="flex items-start space-x-2 mb-3 px-4 py-3 rounded-xl border border-amber-200 bg-amber-50 text-sm text-amber-800">
+      <RefreshCw className="w-4 h-4 mt-0.5 flex-shrink-0 animate-spin" />
+      <div>
+        <p className="font-medium">Knowledge base updating</p>
+        <p className="text-xs mt-0.5">
+          {ingestion.ready
+            ? "New documents are being added; answers may not include them yet."
+            : "The guidelines are being loaded. You can ask questions as soon as this finishes."}
+          {progress?.total > 0 &&
+            ` ${progress.embedded} of ${progress.total} passages processed.`}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default IngestionBanner;
@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { Bot, Loader, LogIn } from "lucide-react";
+import axios from "axios";
+
+function Login({ onLogin }) {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // API Base URL configuration for production
+  const API_BASE_URL = `${import.meta.env.VITE_API_URL}` || "";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.trim() || !password || loading) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/auth/login`, {
+        email: email.trim(),
+        password,
+      });
+      if (response.data.success) {
+        onLogin(response.data.token, response.data.user);
+      }
+    } catch (error) {
+      console.error("Login error:", error);
+      setError(
+        error.response?.data?.error || "Login failed. Please try again."
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 flex items-center justify-center p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-2xl shadow-lg border p-8 w-full max-w-sm"
+      >
+        <div className="flex flex-col items-center mb-6">
+          <div className="bg-blue-100 p-3 rounded-xl mb-3">
+            <Bot className="w-8 h-8 text-blue-600" />
+          </div>
+          <h1 className="text-xl font-bold text-gray-900">
+            Hospital Guidelines Assistant
+          </h1>
+          <p className="text-sm text-gray-600 mt-1">Sign in to continue</p>
+        </div>
+
+        <div className="space-y-4">
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Email</span>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              autoComplete="username"
+              className="mt-1 w-full border border-gray-300 rounded-xl px-4 py-2.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              autoFocus
+            />
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Password</span>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              className="mt-1 w-full border border-gray-300 rounded-xl px-4 py-2.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+
+          {error && (
+            <p className="text-sm text-red-600 bg-red-50 rounded-lg px-3 py-2">
+              {error}
+            </p>
+          )}
+
+          <button
+            type="submit"
+            disabled={loading || !email.trim() || !password}
+            className="w-full flex items-center justify-center space-x-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white rounded-xl px-4 py-2.5 font-medium transition-colors"
+          >
+            {loading ? (
+              <Loader className="w-4 h-4 animate-spin" />
+            ) : (
+              <LogIn className="w-4 h-4" />
+            )}
+            <span>Sign In</span>
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default Login;
@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { History } from "lucide-react";
+
+const revisionName = (revision) =>
+  revision.label ||
+  `Effective ${new Date(revision.effectiveDate).toLocaleDateString()}`;
+
+// Lets a question go to an earlier edition of a document instead of the
+// active one. selected holds the chosen revision IDs; onChange receives a
+// list or an updater, like a state setter.
+function RevisionPicker({ selected, onChange, disabled }) {
+  const [documents, setDocuments] = useState([]);
+
+  const API_BASE_URL = `${import.meta.env.VITE_API_URL}` || "";
+
+  useEffect(() => {
+    const loadRevisions = async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/revisions`);
+        if (response.data.success) {
+          setDocuments(response.data.documents);
+          // Forget choices that were deleted or have since become active
+          const earlier = response.data.documents.flatMap((document) =>
+            document.revisions
+              .filter((revision) => revision._id !== document.activeRevision)
+              .map((revision) => revision._id)
+          );
+          onChange((prev) => prev.filter((id) => earlier.includes(id)));
+        }
+      } catch (error) {
+        console.error("Revisions load error:", error);
+      }
+    };
+
+    loadRevisions();
+  }, [API_BASE_URL, onChange]);
+
+  if (documents.length === 0) return null;
+
+  // One choice per document; choosing the active revision clears it
+  const choose = (document, revisionId) => {
+    const ids = document.revisions.map((revision) => revision._id);
+    onChange((prev) => [
+      ...prev.filter((id) => !ids.includes(id)),
+      ...(revisionId === document.activeRevision ? [] : [revisionId]),
+    ]);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-3">
+      <span className="flex items-center space-x-1 text-xs text-gray-500">
+        <History className="w-3.5 h-3.5" />
+        <span>Edition:</span>
+      </span>
+      {documents.map((document) => {
+        const revisions = [...document.revisions].sort(
+          (a, b) => new Date(b.effectiveDate) - new Date(a.effectiveDate)
+        );
+        const value =
+          revisions.find((revision) => selected.includes(revision._id))?._id ||
+          document.activeRevision;
+
+        return (
+          <label
+            key={document._id}
+            className="flex items-center space-x-1 text-xs text-gray-700"
+          >
+            <span>{document.filename}</span>
+            <select
+              value={value}
+              onChange={(e) => choose(document, e.target.value)}
+              disabled={disabled}
+              className={`border rounded-lg px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 ${
+                value === document.activeRevision
+                  ? "border-gray-300 bg-white"
+                  : "border-amber-400 bg-amber-50"
+              }`}
+            >
+              {revisions.map((revision) => (
+                <option key={revision._id} value={revision._id}>
+                  {revisionName(revision)}
+                  {revision._id === document.activeRevision ? " (current)" : ""}
+                </option>
+              ))}
+            </select>
+          </label>
+        );
+      })}
+    </div>
+  );
+}
+
+export default RevisionPicker;
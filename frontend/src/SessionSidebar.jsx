@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from "react";
+import { MessageSquare, Plus, Loader } from "lucide-react";
+import axios from "axios";
+
+function SessionSidebar({ activeSessionId, onSelect, onNewChat, refreshKey }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // API Base URL configuration for production
+  const API_BASE_URL = `${import.meta.env.VITE_API_URL}` || "";
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/sessions`);
+        if (response.data.success) {
+          setSessions(response.data.sessions);
+        }
+      } catch (error) {
+        console.error("Error fetching sessions:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, [API_BASE_URL, refreshKey]);
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  };
+
+  return (
+    <div className="w-64 flex-shrink-0 bg-white rounded-2xl shadow-lg border h-[650px] flex flex-col">
+      <div className="p-4 border-b">
+        <button
+          onClick={onNewChat}
+          className="w-full flex items-center justify-center space-x-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-xl font-medium transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          <span>New Chat</span>
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2 space-y-1 chat-scroll">
+        {loading ? (
+          <div className="flex items-center justify-center py-8 text-gray-500">
+            <Loader className="w-4 h-4 animate-spin" />
+          </div>
+        ) : sessions.length === 0 ? (
+          <p className="text-xs text-gray-500 text-center py-8">
+            No past conversations yet
+          </p>
+        ) : (
+          sessions.map((session) => (
+            <button
+              key={session.sessionId}
+              onClick={() => onSelect(session.sessionId)}
+              className={`w-full text-left rounded-lg px-3 py-2.5 transition-colors ${
+                session.sessionId === activeSessionId
+                  ? "bg-blue-50 border border-blue-200"
+                  : "hover:bg-gray-50 border border-transparent"
+              }`}
+            >
+              <div className="flex items-start space-x-2">
+                <MessageSquare className="w-4 h-4 text-blue-600 mt-0.5 flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-800 truncate">
+                    {session.title}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-0.5">
+                    {session.messageCount} messages ·{" "}
+                    {formatDate(session.lastActivity)}
+                  </p>
+                </div>
+              </div>
+            </button>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SessionSidebar;
@@ -0,0 +1,37 @@
+import axios from "axios";
+
+const TOKEN_KEY = "authToken";
+const USER_KEY = "authUser";
+
+// Token and user from a previous login, if any
+export function getStoredAuth() {
+  const token = localStorage.getItem(TOKEN_KEY);
+  const user = localStorage.getItem(USER_KEY);
+  if (!token || !user) return null;
+
+  applyToken(token);
+  return { token, user: JSON.parse(user) };
+}
+
+export function saveAuth(token, user) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+  applyToken(token);
+}
+
+export function clearAuth() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+  localStorage.removeItem("sessionId");
+  delete axios.defaults.headers.common.Authorization;
+}
+
+// Authorization header for requests made without axios (e.g. fetch streams)
+export function authHeaders() {
+  const token = localStorage.getItem(TOKEN_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+function applyToken(token) {
+  axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+}
@@ -0,0 +1,12 @@
+// Issue categories accepted by /api/feedback, with their display labels
+export const FEEDBACK_CATEGORIES = [
+  { value: "wrong", label: "Wrong" },
+  { value: "incomplete", label: "Incomplete" },
+  { value: "outdated", label: "Outdated" },
+  { value: "wrong_source", label: "Wrong source" },
+  { value: "off_topic", label: "Off-topic" },
+];
+
+export const categoryLabel = (value) =>
+  FEEDBACK_CATEGORIES.find((category) => category.value === value)?.label ||
+  value;
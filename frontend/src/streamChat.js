@@ -0,0 +1,61 @@
+import { authHeaders } from "./auth";
+
+// POST a chat message and read the Server-Sent Events stream it returns.
+// Resolves with the payload of the final "done" event.
+export async function streamChat(url, body, { onSources, onToken } = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: JSON.stringify(body),
+  });
+
+  if (response.status === 401) {
+    window.dispatchEvent(new Event("auth:expired"));
+  }
+  // The server turns questions away while the knowledge base is being loaded
+  if (response.status === 503) {
+    const payload = await response.json().catch(() => ({}));
+    const error = new Error(payload.error || "Service unavailable");
+    error.updating = Boolean(payload.updating);
+    throw error;
+  }
+  if (!response.ok || !response.body) {
+    throw new Error(`Stream request failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let result = null;
+
+  const handleEvent = (rawEvent) => {
+    let event = "message";
+    let data = "";
+    for (const line of rawEvent.split("\n")) {
+      if (line.startsWith("event: ")) event = line.slice(7);
+      if (line.startsWith("data: ")) data += line.slice(6);
+    }
+    if (!data) return;
+
+    const payload = JSON.parse(data);
+    if (event === "sources") onSources?.(payload.sources);
+    if (event === "token") onToken?.(payload.token);
+    if (event === "done") result = payload;
+    if (event === "error") throw new Error(payload.error);
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split("\n\n");
+    buffer = events.pop();
+    events.forEach(handleEvent);
+  }
+
+  if (buffer.trim()) handleEvent(buffer);
+  if (!result) throw new Error("Stream ended before the answer was complete");
+
+  return result;
+}